@@ -0,0 +1,430 @@
+/*
+ Floor-plan grid detection for /api/blueprint/analyze.
+ - raster plans (PNG / JPEG): benches drawn as filled or outlined dark rectangles on a light background
+ - SVG: <rect> elements, kind taken from id / class / data-kind / label (bench, desk, pillar, column, wall, ...)
+ - DXF: closed LWPOLYLINE / POLYLINE rectangles, SOLIDs, CIRCLEs and INSERTed blocks, kind taken from layer or block name
+ Shapes are classified as benches or pillars, bench centres are clustered into rows and columns, unusually wide
+ gaps between them become aisle rows/cols, and the result is a layout mask, one string per row, front row first:
+   'B' bench   'P' pillar   '.' aisle / empty floor
+*/
+
+const { PNG } = require('pngjs');
+const jpeg = require('jpeg-js');
+
+const MAX_SIDE = 2000;          // raster plans are downsampled to this before labelling
+const MAX_PIXELS = 40e6;
+const MAX_SHAPES = 50000;       // drawing elements per plan; a real hall has a few hundred
+
+// the work after parsing grows with the shape count, so an oversized drawing is refused like an oversized image
+function checkShapeCount(n){
+  if (n > MAX_SHAPES) throw Object.assign(new Error(`too many elements in the plan (${n}, at most ${MAX_SHAPES})`), { status: 422 });
+}
+
+function median(values){
+  if (!values.length) return 0;
+  const v = values.slice().sort((a,b)=>a-b);
+  const m = Math.floor(v.length/2);
+  return v.length % 2 ? v[m] : (v[m-1] + v[m]) / 2;
+}
+
+// min and max by a loop: spreading a large drawing into Math.min / Math.max overflows the call stack
+function span(values){
+  return values.reduce((r, v)=>{ if (v < r[0]) r[0] = v; if (v > r[1]) r[1] = v; return r; }, [Infinity, -Infinity]);
+}
+
+// bounding box of { x, y, w, h } boxes
+function bounds(boxes){
+  const [x] = span(boxes.map(b=>b.x)), [y] = span(boxes.map(b=>b.y));
+  const [, x1] = span(boxes.map(b=>b.x+b.w)), [, y1] = span(boxes.map(b=>b.y+b.h));
+  return { x, y, w: x1-x, h: y1-y };
+}
+
+function kindFromName(name){
+  const n = String(name || '').toLowerCase();
+  if (/wall|room|border|outline|background|frame|stage|door|window/.test(n)) return 'ignore';
+  if (/pillar|column|pier|post/.test(n)) return 'pillar';
+  if (/bench|desk|seat|table/.test(n)) return 'bench';
+  return null;
+}
+
+/* ---------- raster ---------- */
+
+// width and height from the PNG IHDR chunk or the first JPEG SOF marker, read before anything is decoded
+function imageSize(buf, png){
+  if (png) return buf.length >= 24 ? { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) } : null;
+  let i = 2;
+  while (i + 9 < buf.length){
+    if (buf[i] !== 0xff){ i++; continue; }
+    const marker = buf[i+1];
+    if (marker === 0xff){ i++; continue; }
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)){ i += 2; continue; }
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) return { height: buf.readUInt16BE(i+5), width: buf.readUInt16BE(i+7) };
+    i += 2 + buf.readUInt16BE(i+2);
+  }
+  return null;
+}
+
+// a decompression bomb is turned away on its header size, before the pixels are allocated
+function decodeImage(buf){
+  const png = buf.slice(0,8).equals(Buffer.from([0x89,0x50,0x4e,0x47,0x0d,0x0a,0x1a,0x0a]));
+  if (!png && !(buf[0]===0xff && buf[1]===0xd8)) return null;
+  const tooLarge = () => Object.assign(new Error('image too large'), { status: 413 });
+  const size = imageSize(buf, png);
+  if (!size) throw Object.assign(new Error('unreadable image header'), { status: 400 });
+  if (size.width * size.height > MAX_PIXELS) throw tooLarge();
+  if (png) return PNG.sync.read(buf);
+  try { return jpeg.decode(buf, { useTArray:true, maxResolutionInMP: MAX_PIXELS / 1e6, maxMemoryUsageInMB: 512 }); }
+  catch (e) { if (/limit exceeded/i.test(e.message)) throw tooLarge(); throw e; }
+}
+
+// luminance composited on white, downsampled by an integer factor keeping the darkest pixel so thin lines survive
+function toGray(img){
+  const f = Math.max(1, Math.ceil(Math.max(img.width, img.height) / MAX_SIDE));
+  const w = Math.ceil(img.width / f), h = Math.ceil(img.height / f);
+  const gray = new Uint8Array(w*h).fill(255);
+  const d = img.data;
+  for (let y=0;y<img.height;y++){
+    for (let x=0;x<img.width;x++){
+      const i = (y*img.width + x) * 4;
+      const a = d[i+3] / 255;
+      const l = Math.round((0.299*d[i] + 0.587*d[i+1] + 0.114*d[i+2]) * a + 255 * (1-a));
+      const k = Math.floor(y/f)*w + Math.floor(x/f);
+      if (l < gray[k]) gray[k] = l;
+    }
+  }
+  return { gray, width: w, height: h };
+}
+
+function otsu(gray){
+  const hist = new Array(256).fill(0);
+  for (const g of gray) hist[g]++;
+  const total = gray.length;
+  let sum = 0;
+  for (let i=0;i<256;i++) sum += i*hist[i];
+  let sumB = 0, wB = 0, best = 0, threshold = 127;
+  for (let t=0;t<256;t++){
+    wB += hist[t];
+    if (!wB) continue;
+    const wF = total - wB;
+    if (!wF) break;
+    sumB += t*hist[t];
+    const mB = sumB / wB, mF = (sum - sumB) / wF;
+    const between = wB * wF * (mB - mF) * (mB - mF);
+    if (between > best){ best = between; threshold = t; }
+  }
+  return threshold;
+}
+
+// 4-connected components of pixels where mask[i] === value
+function components(mask, width, height, value){
+  const labels = new Int32Array(mask.length).fill(-1);
+  const stack = new Int32Array(mask.length);
+  const out = [];
+  for (let start=0;start<mask.length;start++){
+    if (mask[start] !== value || labels[start] !== -1) continue;
+    const c = { x0: width, y0: height, x1: -1, y1: -1, pixels: 0, border: false };
+    let top = 0;
+    stack[top++] = start;
+    labels[start] = out.length;
+    while (top){
+      const i = stack[--top];
+      const x = i % width, y = (i - x) / width;
+      c.pixels++;
+      if (x < c.x0) c.x0 = x; if (x > c.x1) c.x1 = x;
+      if (y < c.y0) c.y0 = y; if (y > c.y1) c.y1 = y;
+      if (x===0 || y===0 || x===width-1 || y===height-1) c.border = true;
+      const next = [x>0 ? i-1 : -1, x<width-1 ? i+1 : -1, y>0 ? i-width : -1, y<height-1 ? i+width : -1];
+      for (const j of next){
+        if (j >= 0 && mask[j]===value && labels[j]===-1){ labels[j] = out.length; stack[top++] = j; }
+      }
+    }
+    out.push(c);
+  }
+  return out;
+}
+
+// Filled shapes come from dark components; outlined ones (or grids of outlines sharing edges) from the enclosed
+// light regions inside them. Noise (text, specks) and room-sized regions are dropped later by size.
+function rasterShapes(buf){
+  const img = decodeImage(buf);
+  if (!img) return null;
+  const { gray, width, height } = toGray(img);
+  const t = otsu(gray);
+  const mask = new Uint8Array(gray.length);
+  let dark = 0;
+  for (let i=0;i<gray.length;i++) if (gray[i] <= t){ mask[i] = 1; dark++; }
+  const warnings = [];
+  if (dark > gray.length/2){
+    for (let i=0;i<mask.length;i++) mask[i] = mask[i] ? 0 : 1;
+    warnings.push('plan appears to be light-on-dark; colours inverted');
+  }
+  const minPixels = Math.max(12, width*height*0.00002);
+  const shapes = [];
+  const box = c => ({ x: c.x0, y: c.y0, w: c.x1-c.x0+1, h: c.y1-c.y0+1 });
+  for (const c of components(mask, width, height, 1)){
+    const b = box(c);
+    const fill = c.pixels / (b.w*b.h);
+    if (c.pixels >= minPixels && fill >= 0.5) shapes.push({ ...b, kind: null, fill });
+  }
+  for (const c of components(mask, width, height, 0)){
+    if (c.border || c.pixels < minPixels) continue;
+    const b = box(c);
+    shapes.push({ ...b, kind: null, fill: c.pixels / (b.w*b.h), hole: true });
+  }
+  return { source:'image', shapes, extent: { w: width, h: height }, warnings };
+}
+
+/* ---------- SVG ---------- */
+
+function svgAttrs(tag){
+  const a = {};
+  const re = /([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let m;
+  while ((m = re.exec(tag))) a[m[1].toLowerCase()] = m[3] !== undefined ? m[3] : m[4];
+  return a;
+}
+
+function svgShapes(text){
+  if (!/<svg[\s>]/i.test(text)) return null;
+  const warnings = [];
+  if (/<g[^>]*\stransform\s*=/i.test(text)) warnings.push('group transforms are ignored; flatten the drawing if shapes look misplaced');
+  const shapes = [];
+  const re = /<(rect|circle)\b[^>]*>/gi;
+  let m;
+  while ((m = re.exec(text))){
+    const a = svgAttrs(m[0]);
+    const num = k => parseFloat(a[k]) || 0;
+    let shape;
+    if (m[1].toLowerCase()==='rect') shape = { x: num('x'), y: num('y'), w: num('width'), h: num('height') };
+    else shape = { x: num('cx') - num('r'), y: num('cy') - num('r'), w: 2*num('r'), h: 2*num('r') };
+    const tr = /translate\(\s*([-\d.]+)[\s,]*([-\d.]*)\s*\)/.exec(a.transform || '');
+    if (tr){ shape.x += parseFloat(tr[1]) || 0; shape.y += parseFloat(tr[2]) || 0; }
+    if (shape.w <= 0 || shape.h <= 0) continue;
+    shape.kind = kindFromName(a['data-kind']) || kindFromName(a['inkscape:label']) || kindFromName(a.class) || kindFromName(a.id)
+      || (m[1].toLowerCase()==='circle' ? 'pillar' : null);
+    shapes.push(shape);
+  }
+  return { source:'svg', shapes, warnings, flipY: false };
+}
+
+/* ---------- DXF ---------- */
+
+function dxfPairs(text){
+  const lines = text.split(/\r?\n/);
+  const pairs = [];
+  for (let i=0;i+1<lines.length;i+=2) pairs.push([parseInt(lines[i],10), lines[i+1].trim()]);
+  return pairs;
+}
+
+// group the pairs of a section into entities: { type, codes: [[code, value], ...] }
+function dxfEntities(pairs, from, to){
+  const out = [];
+  for (let i=from;i<to;i++){
+    const [code, value] = pairs[i];
+    if (code===0) out.push({ type: value, codes: [] });
+    else if (out.length) out[out.length-1].codes.push([code, value]);
+  }
+  return out;
+}
+
+function dxfValue(e, code, def){
+  const p = e.codes.find(c=>c[0]===code);
+  return p ? p[1] : def;
+}
+
+function dxfBox(e){
+  const xs = [], ys = [];
+  for (const [code, value] of e.codes){
+    if (code>=10 && code<=13) xs.push(parseFloat(value));
+    if (code>=20 && code<=23) ys.push(parseFloat(value));
+  }
+  if (e.type==='CIRCLE'){
+    const r = parseFloat(dxfValue(e, 40, 0));
+    return { x: xs[0]-r, y: ys[0]-r, w: 2*r, h: 2*r };
+  }
+  if (!xs.length || !ys.length) return null;
+  const [x, x1] = span(xs), [y, y1] = span(ys);
+  return { x, y, w: x1-x, h: y1-y };
+}
+
+function dxfShapes(text){
+  const pairs = dxfPairs(text);
+  const sections = {};
+  for (let i=0;i<pairs.length;i++){
+    if (pairs[i][0]===0 && pairs[i][1]==='SECTION' && pairs[i+1] && pairs[i+1][0]===2){
+      let j = i+2;
+      while (j<pairs.length && !(pairs[j][0]===0 && pairs[j][1]==='ENDSEC')) j++;
+      sections[pairs[i+1][1]] = [i+2, j];
+    }
+  }
+  if (!sections.ENTITIES) return null;
+  checkShapeCount(pairs.filter(p=>p[0]===0).length);
+  const warnings = [];
+  const shapeOf = e => {
+    if (!['LWPOLYLINE','POLYLINE','SOLID','CIRCLE'].includes(e.type)) return null;
+    const b = dxfBox(e);
+    return b && b.w > 0 && b.h > 0 ? b : null;
+  };
+
+  // block name -> bounding box of its drawable entities, for INSERTs
+  const blocks = {};
+  if (sections.BLOCKS){
+    let current = null;
+    for (const e of dxfEntities(pairs, ...sections.BLOCKS)){
+      if (e.type==='BLOCK'){ current = { name: dxfValue(e, 2, ''), boxes: [] }; blocks[current.name] = current; continue; }
+      if (e.type==='ENDBLK'){ current = null; continue; }
+      const b = current && shapeOf(e);
+      if (b) current.boxes.push(b);
+    }
+  }
+
+  const shapes = [];
+  const entities = dxfEntities(pairs, ...sections.ENTITIES);
+  for (let k=0;k<entities.length;k++){
+    const e = entities[k];
+    const layer = dxfValue(e, 8, '');
+    if (e.type==='POLYLINE'){
+      // old-style polylines carry their points on the VERTEX entities that follow
+      const merged = { type: e.type, codes: [] };
+      while (entities[k+1] && entities[k+1].type==='VERTEX') merged.codes.push(...entities[++k].codes.filter(c=>c[0]===10 || c[0]===20));
+      const b = dxfBox(merged);
+      if (b && b.w > 0 && b.h > 0) shapes.push({ ...b, kind: kindFromName(layer) });
+      continue;
+    }
+    if (e.type==='INSERT'){
+      const name = dxfValue(e, 2, '');
+      const block = blocks[name];
+      if (!block || !block.boxes.length){ warnings.push(`block ${name} has no rectangles`); continue; }
+      const { x: bx, y: by, w: bw, h: bh } = bounds(block.boxes);
+      const sx = Math.abs(parseFloat(dxfValue(e, 41, 1)) || 1), sy = Math.abs(parseFloat(dxfValue(e, 42, 1)) || 1);
+      const quarter = Math.round((parseFloat(dxfValue(e, 50, 0)) || 0) / 90) % 2 !== 0;
+      const w = (quarter ? bh*sy : bw*sx), h = (quarter ? bw*sx : bh*sy);
+      const cx = parseFloat(dxfValue(e, 10, 0)) + (quarter ? 0 : (bx + bw/2) * sx), cy = parseFloat(dxfValue(e, 20, 0)) + (quarter ? 0 : (by + bh/2) * sy);
+      if (quarter) warnings.push(`rotated insert of ${name}: centred on its insertion point`);
+      shapes.push({ x: cx - w/2, y: cy - h/2, w, h, kind: kindFromName(layer) || kindFromName(name) });
+      continue;
+    }
+    const b = shapeOf(e);
+    if (b) shapes.push({ ...b, kind: kindFromName(layer) || (e.type==='CIRCLE' ? 'pillar' : null) });
+  }
+  // DXF y grows upwards; the top of the drawing is the front
+  return { source:'dxf', shapes, warnings: Array.from(new Set(warnings)), flipY: true };
+}
+
+/* ---------- grid ---------- */
+
+// Unlabelled shapes: the typical bench is the median of the larger shapes; similar-sized ones are benches,
+// small squarish (solid, for rasters) ones pillars, anything covering a tenth of the plan is a wall or the room.
+function classify(shapes, extent){
+  const area = s => s.w*s.h;
+  if (!extent && shapes.length){
+    const b = bounds(shapes);
+    extent = { w: b.w, h: b.h };
+  }
+  const ignoredArea = extent ? extent.w*extent.h*0.1 : Infinity;
+  const unknown = shapes.filter(s=>!s.kind && area(s) < ignoredArea);
+  const largest = unknown.reduce((m, s)=>Math.max(m, area(s)), 0);
+  const ref = median(unknown.map(area).filter(a=>a >= largest/8));
+  let ignored = shapes.filter(s=>s.kind==='ignore').length;
+  const benches = [], pillars = [];
+  for (const s of shapes){
+    if (s.kind==='bench'){ benches.push(s); continue; }
+    if (s.kind==='pillar'){ pillars.push(s); continue; }
+    if (s.kind==='ignore') continue;
+    const a = area(s), aspect = Math.max(s.w, s.h) / Math.min(s.w, s.h);
+    if (a < ignoredArea && a >= ref*0.5 && a <= ref*2) benches.push(s);
+    else if (a >= ref*0.15 && a < ref*0.5 && aspect <= 1.6 && (s.fill === undefined || (!s.hole && s.fill >= 0.7))) pillars.push(s);
+    else if (a >= ref*0.15) ignored++;
+  }
+  return { benches, pillars, ignored };
+}
+
+// 1-D clustering of centre coordinates: a new line starts when the gap exceeds tol
+function clusterLines(values, tol){
+  const v = values.slice().sort((a,b)=>a-b);
+  const lines = [];
+  for (const x of v){
+    const last = lines[lines.length-1];
+    if (last && x - last.max <= tol){ last.sum += x; last.n++; last.max = x; }
+    else lines.push({ sum: x, n: 1, max: x });
+  }
+  return lines.map(l=>l.sum/l.n);
+}
+
+// gaps well above the usual pitch hold aisle rows/cols; returns all line positions and the pitch
+function withAisles(centres){
+  const gaps = [];
+  for (let i=1;i<centres.length;i++) gaps.push(centres[i]-centres[i-1]);
+  const pitch = median(gaps.filter(g=>g>0)) || 0;
+  const out = centres.length ? [{ at: centres[0], aisle: false }] : [];
+  for (let i=1;i<centres.length;i++){
+    const extra = pitch ? Math.round(gaps[i-1]/pitch) - 1 : 0;
+    if (gaps[i-1] > pitch*1.6) for (let k=1;k<=extra;k++) out.push({ at: centres[i-1] + gaps[i-1]*k/(extra+1), aisle: true });
+    out.push({ at: centres[i], aisle: false });
+  }
+  return { lines: out, pitch };
+}
+
+function nearest(lines, v){
+  let best = 0;
+  for (let i=1;i<lines.length;i++) if (Math.abs(lines[i].at - v) < Math.abs(lines[best].at - v)) best = i;
+  return best;
+}
+
+function buildGrid(parsed, opts={}){
+  const warnings = parsed.warnings.slice();
+  const { benches, pillars, ignored } = classify(parsed.shapes, parsed.extent);
+  if (benches.length < 2) return { rows: 0, cols: 0, benches: benches.length, pillars: 0, layout: [], confidence: 0, warnings: warnings.concat('fewer than two benches found') };
+  const flip = !!parsed.flipY !== (opts.front === 'bottom');
+  const centre = s => ({ x: s.x + s.w/2, y: flip ? -(s.y + s.h/2) : s.y + s.h/2 });
+  const bc = benches.map(centre);
+  const rowAxis = withAisles(clusterLines(bc.map(c=>c.y), median(benches.map(s=>s.h))/2));
+  const colAxis = withAisles(clusterLines(bc.map(c=>c.x), median(benches.map(s=>s.w))/2));
+  const R = rowAxis.lines.length, C = colAxis.lines.length;
+  const grid = Array.from({length:R}, (_,r)=>Array.from({length:C}, (_,c)=> '.'));
+
+  let offset = 0, collisions = 0;
+  const rowPitch = rowAxis.pitch || median(benches.map(s=>s.h))*1.5;
+  const colPitch = colAxis.pitch || median(benches.map(s=>s.w))*1.5;
+  for (const p of bc){
+    const r = nearest(rowAxis.lines, p.y), c = nearest(colAxis.lines, p.x);
+    offset += Math.min(0.5, Math.abs(rowAxis.lines[r].at - p.y)/rowPitch) + Math.min(0.5, Math.abs(colAxis.lines[c].at - p.x)/colPitch);
+    if (grid[r][c]==='B') collisions++;
+    grid[r][c] = 'B';
+  }
+  let placedPillars = 0;
+  for (const s of pillars){
+    const p = centre(s);
+    const r = nearest(rowAxis.lines, p.y), c = nearest(colAxis.lines, p.x);
+    if (Math.abs(rowAxis.lines[r].at - p.y) > rowPitch/2 || Math.abs(colAxis.lines[c].at - p.x) > colPitch/2) continue;
+    if (grid[r][c]==='.'){ grid[r][c] = 'P'; placedPillars++; }
+  }
+  if (placedPillars < pillars.length) warnings.push(`${pillars.length - placedPillars} pillar(s) outside the bench grid ignored`);
+  if (collisions) warnings.push(`${collisions} bench(es) share a grid cell with another; check the plan or enter the layout by hand`);
+
+  // alignment of centres on the grid lines, one bench per cell, consistent bench sizes, share of shapes understood
+  const areas = benches.map(s=>s.w*s.h);
+  const mean = areas.reduce((a,b)=>a+b, 0) / areas.length;
+  const cv = Math.sqrt(areas.reduce((a,b)=>a + (b-mean)*(b-mean), 0) / areas.length) / mean;
+  const alignment = Math.max(0, 1 - offset / bc.length);
+  const unique = 1 - collisions / bc.length;
+  const understood = (benches.length + pillars.length) / (benches.length + pillars.length + ignored);
+  const confidence = Math.round(alignment * unique * (0.6 + 0.4*Math.max(0, 1-cv)) * (0.7 + 0.3*understood) * 100) / 100;
+
+  const layout = grid.map(r=>r.join(''));
+  return { rows: R, cols: C, benches: bc.length - collisions, pillars: placedPillars, layout, confidence, warnings };
+}
+
+// buf: uploaded file; opts.front: 'top' (default) or 'bottom' side of the drawing is the front of the hall
+function analyzeBlueprint(buf, opts={}){
+  let parsed = rasterShapes(buf);
+  if (!parsed){
+    const text = buf.toString('utf8');
+    parsed = svgShapes(text) || dxfShapes(text);
+  }
+  if (!parsed) throw Object.assign(new Error('unsupported blueprint format (PNG, JPEG, SVG or DXF)'), { status: 415 });
+  checkShapeCount(parsed.shapes.length);
+  return { source: parsed.source, ...buildGrid(parsed, opts) };
+}
+
+module.exports = { analyzeBlueprint };
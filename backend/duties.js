@@ -0,0 +1,82 @@
+/*
+ Invigilator duties for an allocation: every hall with candidates in a slot gets
+ max(minPerHall, ceil(candidates / studentsPerInvigilator)) invigilators.
+ - only invigilators available for the slot (availability / unavailable lists), under their duty cap and not
+   already on duty in that slot
+ - never in a hall where one of their own subjects is being written
+ - least-loaded first so duty counts stay even over the exam period, then someone from a department not yet in
+   the hall, then a seeded random order
+ Posts nobody can fill are reported in shortfall with the reasons candidates were ruled out.
+*/
+
+// 'ALL' / '*', a slot key (2026-03-02_FN), a date (every session that day), 'date session', or a session (FN / AN)
+function slotMatches(token, slot){
+  const t = String(token).trim().toUpperCase().replace(/\s+/g, '_');
+  if (!t) return false;
+  if (t === 'ALL' || t === '*') return true;
+  if (t === String(slot.key).toUpperCase()) return true;
+  const date = slot.date ? String(slot.date).toUpperCase() : null;
+  const session = slot.session ? String(slot.session).toUpperCase() : null;
+  if (date && t === date) return true;
+  if (date && session && t === `${date}_${session}`) return true;
+  return !!session && t === session;
+}
+
+// lexicographic order of score tuples
+function lessThan(a, b){
+  for (let k=0;k<a.length;k++) if (a[k] !== b[k]) return a[k] < b[k];
+  return false;
+}
+
+function availableFor(inv, slot){
+  if ((inv.unavailable || []).some(t=>slotMatches(t, slot))) return false;
+  return !inv.available || !inv.available.length || inv.available.some(t=>slotMatches(t, slot));
+}
+
+// slots: [{ key, date, session, halls: [{ hall_id, occupancy, subjects: [code] }] }] in exam order
+// opts: { studentsPerInvigilator, minPerHall }; rng: seeded () => [0,1)
+function assignDuties(slots, invigilators, opts, rng){
+  const order = invigilators.map((inv, i)=>({ inv, i, r: rng() })).sort((a,b)=>a.r - b.r || a.i - b.i).map(x=>x.inv);
+  const load = new Map(order.map(inv=>[inv.staff_id, 0]));
+  const duties = [], shortfall = [];
+  for (const slot of slots){
+    const halls = slot.halls.filter(h=>h.occupancy > 0).sort((a,b)=>b.occupancy - a.occupancy || (a.hall_id < b.hall_id ? -1 : 1));
+    const posts = halls.map(h=>({ hall: h, needed: Math.max(opts.minPerHall, Math.ceil(h.occupancy / opts.studentsPerInvigilator)), assigned: [] }));
+    const busy = new Set();
+    // one round per invigilator a hall needs, so the largest hall does not take every least-loaded person at once
+    const rounds = Math.max(0, ...posts.map(p=>p.needed));
+    for (let round=0; round<rounds; round++){
+      for (const post of posts){
+        if (post.assigned.length >= post.needed || post.short) continue;
+        const subjects = new Set(post.hall.subjects.map(s=>String(s).toUpperCase()));
+        const departments = new Set(post.assigned.map(inv=>inv.department).filter(Boolean));
+        const ruledOut = { busy: 0, unavailable: 0, cap: 0, own_subject: 0 };
+        let best = null, bestScore = null;
+        for (const [i, inv] of order.entries()){
+          if (busy.has(inv.staff_id)){ ruledOut.busy++; continue; }
+          if (!availableFor(inv, slot)){ ruledOut.unavailable++; continue; }
+          if (inv.max_duties && load.get(inv.staff_id) >= inv.max_duties){ ruledOut.cap++; continue; }
+          if ((inv.subjects || []).some(s=>subjects.has(String(s).toUpperCase()))){ ruledOut.own_subject++; continue; }
+          const score = [load.get(inv.staff_id), inv.department && departments.has(inv.department) ? 1 : 0, i];
+          if (!bestScore || lessThan(score, bestScore)){ best = inv; bestScore = score; }
+        }
+        if (!best){
+          post.short = true;
+          shortfall.push({ day: slot.key, date: slot.date || null, session: slot.session || null, hall_id: post.hall.hall_id, needed: post.needed, assigned: post.assigned.length, ruled_out: ruledOut });
+          continue;
+        }
+        busy.add(best.staff_id);
+        load.set(best.staff_id, load.get(best.staff_id) + 1);
+        post.assigned.push(best);
+      }
+    }
+    for (const post of posts){
+      duties.push({ day: slot.key, date: slot.date || null, session: slot.session || null, hall_id: post.hall.hall_id, occupancy: post.hall.occupancy, needed: post.needed,
+        invigilators: post.assigned.map(inv=>({ staff_id: inv.staff_id, name: inv.name, department: inv.department || '', username: inv.username || null })) });
+    }
+  }
+  const counts = invigilators.map(inv=>({ staff_id: inv.staff_id, name: inv.name, department: inv.department || '', duties: load.get(inv.staff_id), max_duties: inv.max_duties || null }));
+  return { duties, shortfall, load: counts };
+}
+
+module.exports = { assignDuties, slotMatches };
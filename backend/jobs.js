@@ -0,0 +1,112 @@
+/*
+ In-process job queue for long allocation / optimization runs (/api/jobs).
+ - submit(type, user, run) queues a job and returns it at once; at most `concurrency` jobs run at a time
+ - run({ signal, progress }) is the work itself: progress({ stage, done, total, slot }) updates the job,
+   signal aborts on cancel (solver subprocesses are killed through it)
+ - status: queued -> running -> succeeded | failed | cancelled; listeners get every change (SSE)
+ Jobs live in memory only: a restart forgets them, but their manifests and files stay in uploads/.
+*/
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const FINISHED = new Set(['succeeded', 'failed', 'cancelled']);
+
+function createJobQueue(opts={}){
+  const concurrency = Math.max(1, parseInt(opts.concurrency, 10) || 1);
+  const history = Math.max(1, parseInt(opts.history, 10) || 100);
+  const jobs = new Map();
+  const waiting = [];
+  let running = 0;
+
+  // what clients see: no runner, controller or emitter
+  function view(job){
+    const { id, type, user, status, progress, created_at, started_at, finished_at, result, error } = job;
+    return { id, type, user, status, progress, created_at, started_at, finished_at, result, error };
+  }
+
+  function changed(job){
+    job.events.emit('update', view(job));
+  }
+
+  // finished jobs beyond the history limit are dropped, oldest first
+  function prune(){
+    const finished = Array.from(jobs.values()).filter(j=>FINISHED.has(j.status));
+    for (const j of finished.slice(0, Math.max(0, finished.length - history))) jobs.delete(j.id);
+  }
+
+  function finish(job, status, fields){
+    Object.assign(job, fields, { status, finished_at: new Date().toISOString() });
+    changed(job);
+    job.events.removeAllListeners();
+    prune();
+  }
+
+  async function start(job){
+    running++;
+    job.status = 'running';
+    job.started_at = new Date().toISOString();
+    changed(job);
+    const progress = p => { job.progress = { ...job.progress, ...p }; changed(job); };
+    try {
+      const result = await job.run({ signal: job.controller.signal, progress });
+      if (job.controller.signal.aborted) finish(job, 'cancelled', { error: 'cancelled' });
+      else finish(job, 'succeeded', { result });
+    } catch (err) {
+      if (job.controller.signal.aborted) finish(job, 'cancelled', { error: 'cancelled' });
+      else {
+        if (!err.status) console.error(err);
+        finish(job, 'failed', { error: err.message });
+      }
+    } finally {
+      running--;
+      next();
+    }
+  }
+
+  function next(){
+    while (running < concurrency && waiting.length) start(waiting.shift());
+  }
+
+  function submit(type, user, run){
+    const job = { id: crypto.randomBytes(8).toString('hex'), type, user, status: 'queued', progress: null, created_at: new Date().toISOString(), started_at: null, finished_at: null, result: null, error: null, run, controller: new AbortController(), events: new EventEmitter() };
+    jobs.set(job.id, job);
+    waiting.push(job);
+    next();
+    return view(job);
+  }
+
+  function get(id){
+    const job = jobs.get(id);
+    return job ? view(job) : null;
+  }
+
+  function list(){
+    return Array.from(jobs.values()).map(view).reverse();
+  }
+
+  // queued jobs are dropped straight away; running ones finish as cancelled once their runner gives up
+  function cancel(id){
+    const job = jobs.get(id);
+    if (!job) return null;
+    if (FINISHED.has(job.status)) return view(job);
+    job.controller.abort();
+    if (job.status === 'queued'){
+      waiting.splice(waiting.indexOf(job), 1);
+      finish(job, 'cancelled', { error: 'cancelled' });
+    }
+    return view(job);
+  }
+
+  // listener(view) on every change until the job finishes; returns the unsubscribe function
+  function subscribe(id, listener){
+    const job = jobs.get(id);
+    if (!job || FINISHED.has(job.status)) return ()=>{};
+    job.events.on('update', listener);
+    return ()=>job.events.off('update', listener);
+  }
+
+  return { submit, get, list, cancel, subscribe };
+}
+
+module.exports = { createJobQueue, FINISHED };
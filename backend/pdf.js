@@ -0,0 +1,204 @@
+/*
+ Printable allocation outputs, rendered locally with PDFKit (built-in Helvetica, no external services):
+ - seating chart per hall, drawn on the hall's rows/cols grid (row 1 = front), multi-seat benches split per seat,
+   pillars from its layout shaded
+ - door notice listing register-number ranges per hall
+ - invigilator attendance sheet per hall with signature columns
+ - invigilator duty chart for the whole exam: halls per slot with their invigilators, then duties per person
+ Every document carries the configurable institution header. CreationDate is passed in so the same
+ allocation always renders to the same bytes (the manifest hashes them).
+*/
+
+const PDFDocument = require('pdfkit');
+
+const MARGIN = 36;
+
+function renderPdf(meta, draw){
+  return new Promise((resolve, reject)=>{
+    const doc = new PDFDocument({ autoFirstPage:false, margin: MARGIN, info: { Title: meta.title, Creator:'ExamSeater', Producer:'ExamSeater', CreationDate: meta.date } });
+    const chunks = [];
+    doc.on('data', c=>chunks.push(c));
+    doc.on('end', ()=>resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    try { draw(doc); } catch (e) { return reject(e); }
+    doc.end();
+  });
+}
+
+function slotLine(slot){
+  if (!slot) return '';
+  const time = slot.start ? `${slot.start}${slot.end ? `–${slot.end}` : ''}` : '';
+  return [slot.date, slot.session, time].filter(Boolean).join('  ·  ') || (slot.key && slot.key!=='single' ? slot.key : '');
+}
+
+// institution header at the top of every page; returns the y below it
+function drawHeader(doc, header, title, subtitle){
+  const width = doc.page.width - MARGIN*2;
+  doc.y = MARGIN;
+  if (header.institution) doc.font('Helvetica-Bold').fontSize(15).text(header.institution, MARGIN, doc.y, { width, align:'center' });
+  if (header.exam) doc.font('Helvetica').fontSize(10).text(header.exam, MARGIN, doc.y, { width, align:'center' });
+  doc.font('Helvetica-Bold').fontSize(12).text(title, MARGIN, doc.y + 4, { width, align:'center' });
+  if (subtitle) doc.font('Helvetica').fontSize(9).text(subtitle, MARGIN, doc.y, { width, align:'center' });
+  const y = doc.y + 6;
+  doc.moveTo(MARGIN, y).lineTo(MARGIN + width, y).lineWidth(0.8).stroke();
+  return y + 10;
+}
+
+function hallRows(rows, hallId){
+  return rows.filter(r=>r.hall_id===hallId).sort((a,b)=>a.bench_number - b.bench_number || (a.seat || 1) - (b.seat || 1));
+}
+
+// "KTE20CS001" .. "KTE20CS010" style ranges over consecutive numeric suffixes with the same prefix
+function registerRanges(registers){
+  const sorted = Array.from(new Set(registers.filter(Boolean))).sort();
+  const ranges = [];
+  for (const reg of sorted){
+    const m = reg.match(/^(.*?)(\d+)$/);
+    const last = ranges[ranges.length-1];
+    if (last && m && last.prefix===m[1] && last.width===m[2].length && parseInt(m[2],10)===last.num+1){
+      last.to = reg; last.num++; last.count++;
+      continue;
+    }
+    ranges.push({ from: reg, to: reg, prefix: m ? m[1] : null, width: m ? m[2].length : 0, num: m ? parseInt(m[2],10) : NaN, count: 1 });
+  }
+  return ranges.map(r=>({ from: r.from, to: r.to, count: r.count }));
+}
+
+function seatingChartPdf(rows, hallDefs, opts){
+  return renderPdf({ title:'Seating chart', date: opts.date }, doc=>{
+    for (const h of hallDefs){
+      doc.addPage({ size:'A4', layout:'landscape', margin: MARGIN });
+      const occupied = hallRows(rows, h.hall_id).filter(r=>r.register_number);
+      let y = drawHeader(doc, opts.header, `Seating chart — ${h.hall_id}`, [slotLine(opts.slot), `${occupied.length} candidates`].filter(Boolean).join('  ·  '));
+      const width = doc.page.width - MARGIN*2;
+      doc.font('Helvetica-Oblique').fontSize(8).text('FRONT (board / invigilator desk)', MARGIN, y, { width, align:'center' });
+      y = doc.y + 4;
+      const cellW = width / h.cols;
+      const cellH = Math.min(64, (doc.page.height - MARGIN - y) / h.rows);
+      const byCell = new Map();
+      for (const s of hallRows(rows, h.hall_id)){
+        const k = `${s.row}#${s.col}`;
+        if (!byCell.has(k)) byCell.set(k, []);
+        byCell.get(k).push(s);
+      }
+      const perCell = Math.max(1, ...Array.from(byCell.values()).map(v=>v.length));
+      const size = Math.max(5, Math.min(9, cellH / 5, cellW / perCell / 9));
+      for (let r=1;r<=h.rows;r++){
+        for (let c=1;c<=h.cols;c++){
+          const x = MARGIN + (c-1)*cellW, top = y + (r-1)*cellH;
+          const bench = byCell.get(`${r}#${c}`);
+          if (!bench){
+            if (h.layout && h.layout[r-1][c-1]==='P'){
+              doc.rect(x+1, top+1, cellW-2, cellH-2).fillColor('#cccccc').fill().fillColor('black');
+              doc.font('Helvetica-Oblique').fontSize(size*0.8).text('pillar', x+3, top + cellH*0.4, { width: cellW-6, align:'center', lineBreak:false });
+            }
+            continue;
+          }
+          doc.rect(x+1, top+1, cellW-2, cellH-2).lineWidth(0.5).stroke();
+          doc.font('Helvetica').fontSize(size*0.8).text(`B${bench[0].bench_number}`, x+3, top+3, { width: cellW-6, lineBreak:false });
+          // multi-seat benches are split into one box per seat, left to right
+          const seatW = (cellW-2) / bench.length;
+          bench.forEach((seat, k)=>{
+            const sx = x + 1 + k*seatW;
+            if (bench.length > 1 && k) doc.moveTo(sx, top + cellH*0.28).lineTo(sx, top + cellH - 3).lineWidth(0.3).dash(1.5, { space: 1.5 }).stroke().undash();
+            if (seat.register_number){
+              doc.font('Helvetica-Bold').fontSize(size).text(seat.register_number, sx+2, top + cellH*0.35, { width: seatW-4, align:'center', lineBreak:false });
+              doc.font('Helvetica').fontSize(size*0.9).text(seat.subject_code || '', sx+2, top + cellH*0.35 + size + 2, { width: seatW-4, align:'center', lineBreak:false });
+            } else {
+              doc.font('Helvetica').fontSize(size).fillColor('#999999').text('—', sx+2, top + cellH*0.4, { width: seatW-4, align:'center', lineBreak:false }).fillColor('black');
+            }
+          });
+        }
+      }
+    }
+    if (!doc.page) { doc.addPage({ size:'A4', layout:'landscape', margin: MARGIN }); drawHeader(doc, opts.header, 'Seating chart', 'no halls'); }
+  });
+}
+
+// Paginated table, rows grow to fit their text; header() adds a page with its header and returns the y to start from
+function drawTable(doc, columns, records, header, rowHeight=20){
+  const width = columns.reduce((s,c)=>s+c.width, 0);
+  const drawHead = y => {
+    let x = MARGIN;
+    doc.font('Helvetica-Bold').fontSize(9);
+    for (const c of columns){ doc.rect(x, y, c.width, rowHeight).lineWidth(0.6).stroke(); doc.text(c.label, x+3, y+6, { width: c.width-6, lineBreak:false }); x += c.width; }
+    return y + rowHeight;
+  };
+  let y = drawHead(header());
+  for (const rec of records){
+    doc.font('Helvetica').fontSize(9);
+    const h = Math.max(rowHeight, ...columns.map(c=>doc.heightOfString(String(rec[c.key] ?? ''), { width: c.width-6 }) + 12));
+    if (y + h > doc.page.height - MARGIN){ y = drawHead(header()); }
+    let x = MARGIN;
+    for (const c of columns){
+      doc.rect(x, y, c.width, h).lineWidth(0.4).stroke();
+      doc.text(String(rec[c.key] ?? ''), x+3, y+6, { width: c.width-6, height: h-6 });
+      x += c.width;
+    }
+    y += h;
+  }
+  return { y, width };
+}
+
+function doorNoticePdf(rows, hallDefs, opts){
+  return renderPdf({ title:'Door notice', date: opts.date }, doc=>{
+    const header = () => { doc.addPage({ size:'A4', margin: MARGIN }); return drawHeader(doc, opts.header, 'Hall allocation notice', slotLine(opts.slot)); };
+    const records = [];
+    for (const h of hallDefs){
+      const regs = hallRows(rows, h.hall_id).map(r=>r.register_number).filter(Boolean);
+      if (!regs.length) continue;
+      const ranges = registerRanges(regs).map(r=>r.from===r.to ? r.from : `${r.from} – ${r.to}`);
+      records.push({ hall: h.hall_id, ranges: ranges.join(',  '), count: regs.length });
+    }
+    drawTable(doc, [{ label:'Hall', key:'hall', width:90 }, { label:'Register numbers', key:'ranges', width:353 }, { label:'Candidates', key:'count', width:80 }], records, header, 24);
+  });
+}
+
+function attendancePdf(rows, hallDefs, opts){
+  return renderPdf({ title:'Attendance sheet', date: opts.date }, doc=>{
+    for (const h of hallDefs){
+      const seats = hallRows(rows, h.hall_id).filter(r=>r.register_number);
+      if (!seats.length) continue;
+      let page = 0;
+      const header = () => { doc.addPage({ size:'A4', margin: MARGIN }); page++; return drawHeader(doc, opts.header, `Attendance sheet — ${h.hall_id}`, [slotLine(opts.slot), `page ${page}`].filter(Boolean).join('  ·  ')); };
+      const multi = hallRows(rows, h.hall_id).some(r=>r.seat > 1);
+      const records = seats.map((r,i)=>({ sl: i+1, bench: multi ? `${r.bench_number}/${r.seat}` : r.bench_number, reg: r.register_number, name: r.student_name, subject: r.subject_code, booklet:'', sign:'' }));
+      const { y } = drawTable(doc, [
+        { label:'Sl', key:'sl', width:26 }, { label:'Bench', key:'bench', width:38 }, { label:'Register No', key:'reg', width:90 },
+        { label:'Name', key:'name', width:135 }, { label:'Subject', key:'subject', width:60 }, { label:'Booklet No', key:'booklet', width:74 }, { label:'Signature', key:'sign', width:100 }
+      ], records, header, 22);
+      let footY = y + 18;
+      if (footY + 60 > doc.page.height - MARGIN) footY = header();
+      doc.font('Helvetica').fontSize(10);
+      doc.text(`Total: ${seats.length}     Present: ________     Absent: ________`, MARGIN, footY);
+      doc.text('Invigilator name & signature: ______________________________', MARGIN, footY + 24);
+      doc.text('Chief superintendent: ______________________________', MARGIN, footY + 44);
+    }
+    if (!doc.page) { doc.addPage({ size:'A4', margin: MARGIN }); drawHeader(doc, opts.header, 'Attendance sheet', 'no candidates allocated'); }
+  });
+}
+
+// duties: assignDuties() output; opts.schedule gives the slot lines (date, session, time) per day key
+function dutyChartPdf(duties, opts){
+  return renderPdf({ title:'Invigilation duty chart', date: opts.date }, doc=>{
+    const header = () => { doc.addPage({ size:'A4', margin: MARGIN }); return drawHeader(doc, opts.header, 'Invigilation duty chart', `${duties.duties.length} hall duties  ·  ${duties.shortfall.length} unfilled`); };
+    const schedule = opts.schedule || {};
+    const records = duties.duties.map(d=>({ slot: slotLine({ key: d.day, ...schedule[d.day] }) || d.day, hall: d.hall_id, candidates: d.occupancy,
+      invigilators: d.invigilators.map(i=>`${i.name} (${i.staff_id}${i.department ? `, ${i.department}` : ''})`).join('\n') + (d.invigilators.length < d.needed ? `${d.invigilators.length ? '\n' : ''}${d.needed - d.invigilators.length} unfilled` : ''),
+      sign:'' }));
+    const { y } = drawTable(doc, [{ label:'Slot', key:'slot', width:120 }, { label:'Hall', key:'hall', width:70 }, { label:'Candidates', key:'candidates', width:60 }, { label:'Invigilators', key:'invigilators', width:183 }, { label:'Signature', key:'sign', width:90 }], records, header, 22);
+    // per-invigilator table below the duties (on a new page when little room is left), titled once
+    let titled = false;
+    const loadHeader = () => {
+      const top = !titled && y + 100 <= doc.page.height - MARGIN ? y + 20 : header();
+      if (titled) return top;
+      titled = true;
+      doc.font('Helvetica-Bold').fontSize(11).text('Duties per invigilator', MARGIN, top);
+      return doc.y + 6;
+    };
+    drawTable(doc, [{ label:'Staff ID', key:'staff_id', width:80 }, { label:'Name', key:'name', width:183 }, { label:'Department', key:'department', width:100 }, { label:'Duties', key:'duties', width:60 }, { label:'Max', key:'max', width:100 }],
+      duties.load.map(l=>({ ...l, max: l.max_duties || '' })), loadHeader, 20);
+  });
+}
+
+module.exports = { seatingChartPdf, doorNoticePdf, attendancePdf, dutyChartPdf, registerRanges };
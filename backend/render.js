@@ -0,0 +1,51 @@
+/*
+ Day files (JSON, XLSX, seating chart / door notice / attendance PDFs) rendered on a worker thread.
+ XLSX.write and PDFKit are synchronous and take a second or more for a large slot; on the main thread that would
+ stall every request meanwhile, job progress events and cancel included.
+ - the caller lays the workbook out as plain data: sheets [{ name, json: [rows] } | { name, aoa: [[cells]] }]
+ - renderAllocation({ rows, hallDefs, print, sheets }, signal) resolves to { json, xlsx, seating_pdf, door_pdf,
+   attendance_pdf } buffers; aborting `signal` terminates the worker and rejects with a 409 'cancelled'
+ The worker runs the same code on the same input, so the bytes (and the manifest hashes) do not change.
+*/
+
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+
+function renderAllocation(job, signal){
+  if (signal && signal.aborted) return Promise.reject(cancelled());
+  return new Promise((resolve, reject)=>{
+    const worker = new Worker(__filename, { workerData: job });
+    const onAbort = ()=>{ worker.terminate(); reject(cancelled()); };
+    if (signal) signal.addEventListener('abort', onAbort, { once:true });
+    const done = () => { if (signal) signal.removeEventListener('abort', onAbort); };
+    worker.once('message', m=>{
+      done();
+      if (m.error) return reject(new Error(m.error));
+      resolve(Object.fromEntries(Object.entries(m.out).map(([k, u8])=>[k, Buffer.from(u8.buffer, u8.byteOffset, u8.byteLength)])));
+    });
+    worker.once('error', e=>{ done(); reject(e); });
+  });
+}
+
+function cancelled(){
+  return Object.assign(new Error('cancelled'), { status: 409 });
+}
+
+async function render({ rows, hallDefs, print, sheets }){
+  const XLSX = require('xlsx');
+  const { seatingChartPdf, doorNoticePdf, attendancePdf } = require('./pdf');
+  const wb = XLSX.utils.book_new();
+  for (const s of sheets) XLSX.utils.book_append_sheet(wb, s.aoa ? XLSX.utils.aoa_to_sheet(s.aoa) : XLSX.utils.json_to_sheet(s.json), s.name);
+  return {
+    json: Buffer.from(JSON.stringify(rows, null, 2), 'utf8'),
+    xlsx: XLSX.write(wb, { type:'buffer', bookType:'xlsx' }),
+    seating_pdf: await seatingChartPdf(rows, hallDefs, print),
+    door_pdf: await doorNoticePdf(rows, hallDefs, print),
+    attendance_pdf: await attendancePdf(rows, hallDefs, print)
+  };
+}
+
+if (!isMainThread && workerData && workerData.sheets){
+  render(workerData).then(out=>parentPort.postMessage({ out }), e=>parentPort.postMessage({ error: e.message }));
+}
+
+module.exports = { renderAllocation };
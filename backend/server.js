@@ -1,11 +1,21 @@
-\
 /*
  Enhanced backend:
- - Excel error correction & sorting (register normalization)
- - Multi-day schedule support
- - Admin JWT auth scaffolding
- - Optimizer bridge to Python OR-Tools service (optional)
- - Blueprint detection stub (image -> rows/cols heuristic)
+ - Excel error correction & sorting (register normalization), reported per file/row; strict mode rejects instead
+ - Named column mapping profiles for university export formats (detected or chosen per upload)
+ - Multi-day timetable (date + FN/AN session slots), one seat per student per slot, clash report
+ - Accommodations: student tags (front row, aisle, accessible, separate room, ...) matched to hall/bench tags first
+ - Seeded, reproducible allocations with an audit record in the manifest (replayable)
+ - Subject-adjacency seating constraints on the hall grid (orthogonal / diagonal)
+ - JWT auth on all mutating routes and uploads/ (admin; invigilators read their own halls' rosters)
+ - Printable PDFs per day: hall seating charts, door notice, attendance sheets (local PDFKit)
+ - allocator 'optimize': OR-Tools CP-SAT solver (adjacency, hall balance, accommodations) with built-in fallback
+ - Blueprint grid detection (PNG/JPEG/SVG/DXF floor plan -> bench/pillar/aisle layout mask with confidence)
+ - Irregular halls: per-cell layout mask, seats per bench and per-allocator seat usage rules
+ - Background jobs for allocate / optimize: submit, poll or stream (SSE) progress, cancel, fetch the manifest
+ - Exam sessions (SQLite store): cohorts, hall inventories and allocation versions grouped per exam, with CRUD
+ - Manual moves / swaps re-checked against adjacency and capacity, saved as new versions with a diff; seat locks
+ - Invigilator roster upload and duty assignment per occupied hall (availability, caps, own subjects), duty chart
+ - Public, rate-limited student seat lookup (register number + date of birth) over published allocation versions
 */
 
 const express = require('express');
@@ -17,41 +27,161 @@ const cors = require('cors');
 const bodyParser = require('body-parser');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
-const { spawnSync } = require('child_process');
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const { dutyChartPdf } = require('./pdf');
+const { renderAllocation } = require('./render');
+const { analyzeBlueprint } = require('./blueprint');
+const { createJobQueue, FINISHED } = require('./jobs');
+const { openStore, STATUSES } = require('./store');
+const { assignDuties } = require('./duties');
 
 const app = express();
 app.use(cors());
 app.use(bodyParser.json({ limit: '50mb' }));
 
-const UPLOAD_DIR = path.join(__dirname, 'uploads');
-if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR);
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, 'uploads');
+if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+
+// Session store, kept outside uploads/ so it is never served. The first start imports what uploads/ already holds.
+const DB_FILE = process.env.DB_FILE || path.join(__dirname, 'data', 'examseater.db');
+const store = openStore({ file: DB_FILE, uploadDir: UPLOAD_DIR });
+if (!store.uploadsImported()) console.log('[store] imported existing uploads:', JSON.stringify(store.importUploads()));
+
+// Server-side JSON (accounts, column profiles) lives in data/ with the store, the directory docker-compose keeps.
+// A file left next to server.js by an older version is moved there on first start.
+function dataFile(name){
+  const file = path.join(__dirname, 'data', name);
+  const legacy = path.join(__dirname, name);
+  if (!fs.existsSync(file) && fs.existsSync(legacy)){
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.renameSync(legacy, file);
+  }
+  return file;
+}
+function writeDataFile(file, obj){
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(obj, null, 2), 'utf8');
+}
+
+// Millisecond stamp for upload names, strictly increasing so two writes in the same millisecond cannot collide
+let lastStamp = 0;
+function uniqueStamp(){
+  lastStamp = Math.max(Date.now(), lastStamp + 1);
+  return lastStamp;
+}
 
 // Simple admin user (for MVP). In production, use a proper DB.
-const ADMIN = { username: process.env.ADMIN_USER || 'admin', passwordHash: process.env.ADMIN_PASS_HASH || bcrypt.hashSync('changeme', 8) };
-const JWT_SECRET = process.env.JWT_SECRET || 'exam-secret';
+// No built-in defaults: without ADMIN_PASS_HASH / ADMIN_PASS a one-off password is generated and printed,
+// without JWT_SECRET a per-process secret is used (tokens stop working after a restart).
+function resolveAdminPasswordHash(){
+  if (process.env.ADMIN_PASS_HASH) return process.env.ADMIN_PASS_HASH;
+  if (process.env.ADMIN_PASS) return bcrypt.hashSync(process.env.ADMIN_PASS, 8);
+  const generated = crypto.randomBytes(9).toString('base64url');
+  console.warn(`[auth] ADMIN_PASS_HASH / ADMIN_PASS not set; generated admin password for this run: ${generated}`);
+  return bcrypt.hashSync(generated, 8);
+}
+const ADMIN = { username: process.env.ADMIN_USER || 'admin', passwordHash: resolveAdminPasswordHash() };
+const JWT_SECRET = process.env.JWT_SECRET || (()=>{
+  console.warn('[auth] JWT_SECRET not set; using a random per-process secret. Set JWT_SECRET to keep tokens valid across restarts.');
+  return crypto.randomBytes(32).toString('hex');
+})();
+
+// Invigilator accounts: { username, passwordHash, halls: [hall_id] }. Kept outside uploads/ so it is never served.
+const USERS_FILE = process.env.USERS_FILE || dataFile('users.json');
+function loadUsers(){
+  if (!fs.existsSync(USERS_FILE)) return [];
+  return JSON.parse(fs.readFileSync(USERS_FILE,'utf8'));
+}
+function saveUsers(users){
+  writeDataFile(USERS_FILE, users);
+}
+
+// Bearer-token check; roles limits which token roles may pass. The token comes from the Authorization header only,
+// so it stays out of access logs, history and Referer headers.
+function requireAuth(...roles){
+  return checkToken(roles, false);
+}
+// The same for the GET routes a browser may open without headers (plain download links, EventSource): there a
+// ?token= query is accepted too
+function requireAuthQuery(...roles){
+  return checkToken(roles, true);
+}
+function checkToken(roles, allowQuery){
+  return (req,res,next)=>{
+    const header = req.headers.authorization || '';
+    const query = allowQuery && req.method === 'GET' && req.query ? req.query.token : null;
+    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : query;
+    if (!token) return res.status(401).json({ ok:false, error:'authentication required: missing bearer token' });
+    let user;
+    try { user = jwt.verify(token, JWT_SECRET); }
+    catch (e) { return res.status(401).json({ ok:false, error:`invalid token: ${e.message}` }); }
+    if (roles.length && !roles.includes(user.role)) return res.status(403).json({ ok:false, error:`forbidden: requires ${roles.join(' or ')} role` });
+    req.user = user;
+    next();
+  };
+}
+const requireAdmin = requireAuth('admin');
+
+// Fixed-window request limit per client IP for public routes; 429 with Retry-After once the window is spent.
+// Behind a reverse proxy set TRUST_PROXY so req.ip is the client's address.
+if (process.env.TRUST_PROXY) app.set('trust proxy', process.env.TRUST_PROXY);
+function rateLimit({ windowMs, max }){
+  const hits = new Map();
+  return (req,res,next)=>{
+    const now = Date.now();
+    for (const [ip, h] of hits) if (h.reset <= now) hits.delete(ip);
+    const h = hits.get(req.ip) || { count: 0, reset: now + windowMs };
+    h.count++;
+    hits.set(req.ip, h);
+    if (h.count > max){
+      res.set('Retry-After', String(Math.ceil((h.reset - now) / 1000)));
+      return res.status(429).json({ ok:false, error:'too many requests; try again later' });
+    }
+    next();
+  };
+}
 
 // Multer config
 const storage = multer.diskStorage({
   destination: (req, file, cb) => cb(null, UPLOAD_DIR),
-  filename: (req, file, cb) => cb(null, `${Date.now()}_${file.originalname}`)
+  filename: (req, file, cb) => cb(null, `${uniqueStamp()}_${file.originalname}`)
 });
 const upload = multer({ storage });
 
 // Utilities
-function shuffleArray(arr) {
+// Seeded PRNG (mulberry32) so an allocation can be regenerated from the seed in its manifest
+function makeRng(seed){
+  let a = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+  return function(){
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffleArray(arr, rng=Math.random) {
   for (let i=arr.length-1;i>0;i--){
-    const j = Math.floor(Math.random()*(i+1));
+    const j = Math.floor(rng()*(i+1));
     [arr[i], arr[j]] = [arr[j], arr[i]];
   }
   return arr;
 }
+function httpError(status, message){
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
 const PAREN_REGEX = /^(.+?)\s*\(\s*([^)]+)\s*\)\s*$/;
 
-function extractFromCombinedCell(cell){
+function extractFromCombinedCell(cell, regex=PAREN_REGEX){
   if (cell===undefined || cell===null) return null;
   const s = String(cell).trim();
-  const m = s.match(PAREN_REGEX);
-  if (m) return { left: m[1].trim(), right: m[2].trim() };
+  const m = s.match(regex);
+  if (m) return { left: (m[1]||'').trim(), right: (m[2]||'').trim() };
+  if (regex !== PAREN_REGEX) return { left: s, right: '' };
   const idx = s.lastIndexOf('(');
   if (idx !== -1 && s.endsWith(')')) return { left: s.slice(0, idx).trim(), right: s.slice(idx+1,-1).trim() };
   return { left: s, right: '' };
@@ -62,12 +192,40 @@ function normalizeRegister(reg){
   return String(reg).trim().replace(/\s+/g,'').toUpperCase();
 }
 
+// Date of birth as YYYY-MM-DD from an Excel date or serial, YYYY-MM-DD, or day-first D/M/YYYY (also '-' or '.');
+// '' when empty, null when it is not a real date
+function normalizeDob(v){
+  if (v === undefined || v === null || String(v).trim() === '') return '';
+  let y, m, d;
+  if (v instanceof Date){
+    if (isNaN(v)) return null;
+    const t = new Date(v.getTime() + 12*3600*1000); // cellDates can land a few seconds before midnight
+    [y, m, d] = [t.getFullYear(), t.getMonth()+1, t.getDate()];
+  } else if (typeof v === 'number'){
+    const c = XLSX.SSF.parse_date_code(v);
+    if (!c) return null;
+    [y, m, d] = [c.y, c.m, c.d];
+  } else {
+    const s = String(v).trim();
+    let r;
+    if ((r = s.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/))) [y, m, d] = [r[1], r[2], r[3]].map(Number);
+    else if ((r = s.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/))) [y, m, d] = [r[3], r[2], r[1]].map(Number);
+    else return null;
+  }
+  const t = new Date(Date.UTC(y, m-1, d));
+  if (t.getUTCFullYear() !== y || t.getUTCMonth() !== m-1 || t.getUTCDate() !== d) return null;
+  return t.toISOString().slice(0,10);
+}
+
 // parse student robustly and correct numbering scheme if present
 function parseStudentRowRobust(row){
   const keys = Object.keys(row||{});
-  let studentCol=null, nameCol=null, regCol=null, courseCol=null, subjCol=null;
+  let studentCol=null, nameCol=null, regCol=null, courseCol=null, subjCol=null, accCol=null, dobCol=null;
+  const guessed = [];
   for (const k of keys){
     const kl = k.toLowerCase();
+    if (!accCol && kl.includes('accommodation')) { accCol=k; continue; }
+    if (!dobCol && (kl==='dob' || kl.includes('birth') || kl.includes('d.o.b'))) { dobCol=k; continue; }
     if (!studentCol && (kl==='student' || kl.includes('student') || kl.includes('name('))) studentCol=k;
     if (!nameCol && (kl==='name' || kl.includes('student name'))) nameCol=k;
     if (!regCol && (kl.includes('reg') || kl.includes('register') || kl.includes('roll'))) regCol=k;
@@ -92,61 +250,203 @@ function parseStudentRowRobust(row){
     else subject_name=String(row[courseCol]).trim();
   } else if (subjCol && String(row[subjCol]||'').trim()!==''){
     const p=extractFromCombinedCell(row[subjCol]);
-    if (p){ subject_name=p.left; subject_code=p.right; } else subject_code=String(row[subjCol]).trim();
+    if (p && p.right){ subject_name=p.left; subject_code=p.right; } else subject_code=String(row[subjCol]).trim();
   } else {
     for (const k of keys){
       const v = String(row[k]||'').trim();
-      if (v && v.length<=8 && /[A-Za-z0-9]/.test(v) && !k.toLowerCase().includes('name')){ subject_code=v; break; }
+      if (k===regCol || k===nameCol || k===studentCol || k===accCol || k===dobCol) continue;
+      if (v && v.length<=8 && /[A-Za-z0-9]/.test(v) && !k.toLowerCase().includes('name')){ subject_code=v; guessed.push({ field:'subject_code', column:k, value:v }); break; }
     }
   }
 
   register_number = normalizeRegister(register_number);
   subject_code = (subject_code||'').toString().trim().toUpperCase();
-  return { register_number, student_name, subject_code, subject_name };
+  const accommodations = accCol ? normalizeTags(row[accCol]) : [];
+  return { register_number, student_name, subject_code, subject_name, accommodations, dob: dobCol ? row[dobCol] : '', guessed };
+}
+
+/* Column mapping profiles: named, stored server-side, one per university export format.
+   { name, kind: 'students'|'halls', sheet: <name or index>, headerRow: <rows above the header>,
+     columns: { <field>: <exact header> }, combinedRegex: <two groups: left, right> } */
+const PROFILES_FILE = process.env.PROFILES_FILE || dataFile('profiles.json');
+const PROFILE_FIELDS = {
+  students: ['register_number','student_name','subject_code','subject_name','student','course','accommodations','dob'],
+  halls: ['hall_id','benches','rows','cols','tags','layout','seats_per_bench','seat_use'],
+  invigilators: ['staff_id','name','department','subjects','available','unavailable','max_duties','username']
+};
+
+function loadProfiles(){
+  if (!fs.existsSync(PROFILES_FILE)) return [];
+  return JSON.parse(fs.readFileSync(PROFILES_FILE,'utf8'));
+}
+function saveProfiles(profiles){
+  writeDataFile(PROFILES_FILE, profiles);
+}
+
+function validateProfile(p){
+  if (!p || !p.name) return 'name required';
+  if (!PROFILE_FIELDS[p.kind]) return `kind must be ${Object.keys(PROFILE_FIELDS).join(', ')}`;
+  const fields = Object.keys(p.columns || {});
+  if (!fields.length) return 'columns required';
+  const unknown = fields.filter(f=>!PROFILE_FIELDS[p.kind].includes(f));
+  if (unknown.length) return `unknown ${p.kind} fields: ${unknown.join(', ')} (allowed: ${PROFILE_FIELDS[p.kind].join(', ')})`;
+  if (p.sheet !== undefined && p.sheet !== null && typeof p.sheet !== 'string' && !Number.isInteger(p.sheet)) return 'sheet must be a sheet name or index';
+  if (p.headerRow !== undefined && p.headerRow !== null && (!Number.isInteger(p.headerRow) || p.headerRow < 0)) return 'headerRow must be a non-negative integer';
+  if (p.combinedRegex){
+    try { new RegExp(p.combinedRegex); } catch (e) { return `invalid combinedRegex: ${e.message}`; }
+  }
+  return null;
+}
+
+// rows and header line of the sheet a profile points at (first sheet, header on row 1 without a profile)
+function readSheet(wb, profile){
+  const ref = profile ? profile.sheet : null;
+  const name = typeof ref === 'number' ? wb.SheetNames[ref] : (ref || wb.SheetNames[0]);
+  if (!name || !wb.Sheets[name]) throw httpError(400, `sheet ${JSON.stringify(ref)} not found (sheets: ${wb.SheetNames.join(', ')})`);
+  const range = (profile && profile.headerRow) || 0;
+  const headers = (XLSX.utils.sheet_to_json(wb.Sheets[name], { header:1, range, defval:'' })[0] || []).map(h=>String(h).trim());
+  return { sheet: name, headers, rows: XLSX.utils.sheet_to_json(wb.Sheets[name], { defval:'', range }) };
 }
 
-function safeReadWorkbook(filepath){
+function mapProfileColumns(headers, profile){
+  const byLower = new Map(headers.map(h=>[h.toLowerCase(), h]));
+  const columns = {}, missing = [];
+  for (const [field, header] of Object.entries(profile.columns)){
+    const actual = byLower.get(String(header).trim().toLowerCase());
+    if (actual === undefined) missing.push(header); else columns[field] = actual;
+  }
+  return { columns, missing };
+}
+
+// Applies the named profile, else the first stored profile of this kind whose headers are all present,
+// else the built-in header guessing. mode tells the caller which of the three happened.
+function safeReadWorkbook(filepath, kind, profileName){
   const wb = XLSX.readFile(filepath, {cellDates:true});
-  const sheet = wb.Sheets[wb.SheetNames[0]];
-  return XLSX.utils.sheet_to_json(sheet, {defval:''});
+  const profiles = loadProfiles().filter(p=>p.kind===kind);
+  if (profileName){
+    const profile = profiles.find(p=>p.name===profileName);
+    if (!profile) throw httpError(400, `unknown ${kind} profile: ${profileName}`);
+    const sheet = readSheet(wb, profile);
+    const m = mapProfileColumns(sheet.headers, profile);
+    if (m.missing.length) throw httpError(400, `profile ${profile.name}: column(s) not found in sheet ${sheet.sheet}: ${m.missing.join(', ')}`);
+    return { rows: sheet.rows, profile, columns: m.columns, mode:'applied' };
+  }
+  for (const profile of profiles){
+    let sheet;
+    try { sheet = readSheet(wb, profile); } catch (e) { continue; }
+    const m = mapProfileColumns(sheet.headers, profile);
+    if (!m.missing.length) return { rows: sheet.rows, profile, columns: m.columns, mode:'detected' };
+  }
+  return { rows: readSheet(wb, null).rows, profile: null, columns: null, mode:'builtin' };
+}
+
+function parseStudentRowWithProfile(row, columns, regex){
+  const get = f => columns[f] ? String(row[columns[f]]||'').trim() : '';
+  let student_name = get('student_name'), register_number = get('register_number');
+  let subject_code = get('subject_code'), subject_name = get('subject_name');
+  if (columns.student){
+    const p = extractFromCombinedCell(row[columns.student], regex);
+    if (p){ student_name = student_name || p.left; register_number = register_number || p.right; }
+  }
+  if (columns.course){
+    const p = extractFromCombinedCell(row[columns.course], regex);
+    if (p){ subject_name = subject_name || p.left; subject_code = subject_code || p.right; }
+  }
+  return { register_number: normalizeRegister(register_number), student_name, subject_code: subject_code.toUpperCase(), subject_name, accommodations: normalizeTags(get('accommodations')), dob: columns.dob ? row[columns.dob] : '', guessed: [] };
+}
+
+// accommodations are only stored on students that have some, keeping plain rosters unchanged
+function withAccommodations(student, tags){
+  if (tags && tags.length) student.accommodations = tags;
+  return student;
 }
 
-function readStudentsFromFile(filepath){
-  const raw = safeReadWorkbook(filepath);
-  const parsed = raw.map(r => {
+// Register numbers must have at least one digit and only letters, digits, '/' or '-'
+const DEFAULT_REGISTER_PATTERN = /^(?=.*\d)[A-Z0-9/-]{4,20}$/;
+
+// Parse one uploaded sheet. Corrections (duplicate dropped, synthetic id, guessed column) are still applied,
+// but each one is recorded as an issue against its sheet row so the upload can report or reject it.
+// opts.synthetic is shared across the files of one upload so SYN ids do not collide; opts.profile names a mapping profile.
+function readStudentsFromFile(filepath, opts={}){
+  const source = opts.source || path.basename(filepath);
+  const registerPattern = opts.registerPattern || DEFAULT_REGISTER_PATTERN;
+  const synthetic = opts.synthetic || { next: 1 };
+  const issues = [];
+  const sheet = safeReadWorkbook(filepath, 'students', opts.profile);
+  const raw = sheet.rows;
+  const regex = sheet.profile && sheet.profile.combinedRegex ? new RegExp(sheet.profile.combinedRegex) : PAREN_REGEX;
+  // date of birth (the seat lookup's second factor) is kept when the sheet has one; unreadable ones are reported
+  const dated = (row, student, value) => {
+    const dob = normalizeDob(value);
+    if (dob) student.dob = dob;
+    else if (dob === null) issues.push({ row, type:'invalid_dob', register_number: student.register_number, value: String(value) });
+    return { row, student };
+  };
+  const parsed = raw.map((r, i) => {
+    const row = (r.__rowNum__ !== undefined ? r.__rowNum__ : i+1) + 1;
+    if (sheet.columns) {
+      const p = parseStudentRowWithProfile(r, sheet.columns, regex);
+      return dated(row, withAccommodations({ register_number: p.register_number, student_name: p.student_name, subject_code: p.subject_code }, p.accommodations), p.dob);
+    }
     if (r.student_name || r.register_number || r.subject_code) {
-      return { register_number: normalizeRegister(r.register_number||''), student_name: (r.student_name||'').toString().trim(), subject_code: (r.subject_code||'').toString().toUpperCase() };
+      return dated(row, withAccommodations({ register_number: normalizeRegister(r.register_number||''), student_name: (r.student_name||'').toString().trim(), subject_code: (r.subject_code||'').toString().toUpperCase() }, normalizeTags(r.accommodations)), r.dob);
     }
     const p = parseStudentRowRobust(r);
-    return { register_number: p.register_number||'', student_name: p.student_name||'', subject_code: p.subject_code||'' };
+    for (const g of p.guessed) issues.push({ row, type:'column_guessed', field: g.field, column: g.column, value: g.value });
+    return dated(row, withAccommodations({ register_number: p.register_number||'', student_name: p.student_name||'', subject_code: p.subject_code||'' }, p.accommodations), p.dob);
   });
 
-  // Error correction: remove duplicates (by register), fix empty registers by synthetic ids, sort
-  const seen = new Set();
+  // Error correction: remove duplicates (same register and subject; one row per subject a student sits),
+  // fix empty registers by synthetic ids, sort. A register number that comes back under another name is kept but
+  // reported: it is either a typo in the name or two students sharing a number. opts.seen and opts.names span the
+  // files of an upload, so a row repeated in another file is dropped and reported too.
+  const seen = opts.seen || new Map();
+  const names = opts.names || new Map();
+  const nameKey = n => String(n || '').trim().replace(/\s+/g, ' ').toUpperCase();
   const unique = [];
-  for (const s of parsed){
-    if (s.register_number && seen.has(s.register_number)) continue;
-    if (s.register_number) seen.add(s.register_number);
-    unique.push(s);
+  for (const p of parsed){
+    const reg = p.student.register_number;
+    const key = `${reg}#${p.student.subject_code}`;
+    const dup = reg ? seen.get(key) : null;
+    if (dup){ issues.push({ row: p.row, type:'duplicate_dropped', register_number: reg, subject_code: p.student.subject_code, conflicts_with_row: dup.row, ...(dup.file !== source ? { conflicts_with_file: dup.file } : {}) }); continue; }
+    if (reg) seen.set(key, { row: p.row, file: source });
+    const first = reg && nameKey(p.student.student_name) ? names.get(reg) : null;
+    if (first && first.key !== nameKey(p.student.student_name)) issues.push({ row: p.row, type:'register_name_mismatch', register_number: reg, student_name: p.student.student_name, other_name: first.name, conflicts_with_row: first.row, ...(first.file !== source ? { conflicts_with_file: first.file } : {}) });
+    else if (!first && reg && nameKey(p.student.student_name)) names.set(reg, { key: nameKey(p.student.student_name), name: p.student.student_name, row: p.row, file: source });
+    unique.push(p);
   }
-  let syntheticCounter = 1;
-  for (const s of unique){
+  for (const { row, student: s } of unique){
     if (!s.register_number || s.register_number==='') {
-      s.register_number = `SYN${String(syntheticCounter).padStart(4,'0')}`;
-      syntheticCounter++;
+      s.register_number = `SYN${String(synthetic.next).padStart(4,'0')}`;
+      synthetic.next++;
+      issues.push({ row, type:'synthetic_id', register_number: s.register_number });
+    } else if (!registerPattern.test(s.register_number)) {
+      issues.push({ row, type:'malformed_register', register_number: s.register_number });
     }
+    if (!s.subject_code) issues.push({ row, type:'empty_subject', register_number: s.register_number });
   }
-  unique.sort((a,b)=> (a.register_number < b.register_number ? -1 : 1));
-  return unique;
+  issues.sort((a,b)=>a.row - b.row);
+  const students = unique.map(p=>p.student);
+  students.sort((a,b)=> (a.register_number < b.register_number ? -1 : a.register_number > b.register_number ? 1 : (a.subject_code < b.subject_code ? -1 : 1)));
+  const profile = { name: sheet.profile ? sheet.profile.name : null, mode: sheet.mode };
+  return { students, report: { file: source, profile, rows: raw.length, accepted: students.length, issues } };
 }
 
-function readHallListFromFile(filepath, defaultBenches=30){
-  const raw = safeReadWorkbook(filepath);
-  return raw.map((r,i)=>{
+function readHallListFromFile(filepath, defaultBenches=30, profileName){
+  const sheet = safeReadWorkbook(filepath, 'halls', profileName);
+  const halls = sheet.rows.map((r,i)=>{
     const keys = Object.keys(r);
-    let hallKey=null, benchesKey=null, rowsKey=null, colsKey=null;
-    for (const k of keys){
+    let hallKey=null, benchesKey=null, rowsKey=null, colsKey=null, tagsKey=null, layoutKey=null, seatsKey=null, seatUseKey=null;
+    if (sheet.columns){
+      const c = sheet.columns;
+      hallKey = c.hall_id || null; benchesKey = c.benches || null; rowsKey = c.rows || null; colsKey = c.cols || null; tagsKey = c.tags || null;
+      layoutKey = c.layout || null; seatsKey = c.seats_per_bench || null; seatUseKey = c.seat_use || null;
+    } else for (const k of keys){
       const kn = k.toLowerCase();
+      if (!tagsKey && (kn==='tags' || kn.includes('capabilit'))) { tagsKey=k; continue; }
+      if (!layoutKey && (kn.includes('layout') || kn.includes('mask'))) { layoutKey=k; continue; }
+      if (!seatUseKey && /seat[\s_]*(use|usage|rule)|use[\s_]*seats/.test(kn)) { seatUseKey=k; continue; }
+      if (!seatsKey && /seats?[\s_]*(per|\/)[\s_]*bench|seater/.test(kn)) { seatsKey=k; continue; }
       if (!hallKey && (kn.includes('hall')||kn.includes('class')||kn.includes('room')||kn.includes('id'))) hallKey=k;
       if (!benchesKey && (kn.includes('bench')||kn.includes('seat')||kn.includes('capacity')||kn.includes('benches'))) benchesKey=k;
       if (!rowsKey && (kn==='rows' || kn.includes('row'))) rowsKey=k;
@@ -156,8 +456,63 @@ function readHallListFromFile(filepath, defaultBenches=30){
     const benches = benchesKey && r[benchesKey] !== '' ? parseInt(r[benchesKey],10) || defaultBenches : defaultBenches;
     const rows = rowsKey && r[rowsKey] !== '' ? parseInt(r[rowsKey],10) || null : null;
     const cols = colsKey && r[colsKey] !== '' ? parseInt(r[colsKey],10) || null : null;
-    return { hall_id, benches, rows, cols };
+    const tags = tagsKey ? normalizeTags(r[tagsKey]) : [];
+    const hall = { hall_id, benches, rows, cols };
+    if (tags.length) hall.tags = tags;
+    const layout = layoutKey ? normalizeLayout(r[layoutKey], `hall ${hall_id} layout`) : null;
+    if (layout) Object.assign(hall, { benches: benchCells({ layout }).length, rows: layout.length, cols: layout[0].length, layout });
+    const seats = seatsKey && r[seatsKey] !== '' ? parseInt(r[seatsKey],10) || null : null;
+    if (seats) hall.seats_per_bench = seats;
+    const seatUse = seatUseKey ? normalizeSeatUse(r[seatUseKey], `hall ${hall_id} seat_use`) : null;
+    if (seatUse) hall.seat_use = seatUse;
+    return hall;
   }).sort((a,b)=> (a.hall_id < b.hall_id ? -1 : 1));
+  return { halls, profile: { name: sheet.profile ? sheet.profile.name : null, mode: sheet.mode } };
+}
+
+/* Invigilator roster: staff id, name, department, own subjects (never invigilate those), availability and
+   unavailability (slot keys, dates, 'date session' or FN / AN; empty = always available), duty cap and the
+   invigilator login it belongs to. Rows without a name or id are skipped and duplicates dropped, as warnings. */
+function listCell(v){
+  if (v instanceof Date) return [v.toISOString().slice(0,10)];
+  return String(v === undefined || v === null ? '' : v).split(/[,;|\n]/).map(t=>t.trim()).filter(Boolean);
+}
+
+function readInvigilatorsFromFile(filepath, profileName){
+  const sheet = safeReadWorkbook(filepath, 'invigilators', profileName);
+  let columns = sheet.columns;
+  if (!columns){
+    columns = {};
+    for (const k of Object.keys(sheet.rows[0] || {})){
+      const kn = k.toLowerCase();
+      if (!columns.unavailable && /unavail|not[\s_]*available|leave/.test(kn)) columns.unavailable = k;
+      else if (!columns.available && /avail|sessions?|slots?/.test(kn)) columns.available = k;
+      else if (!columns.max_duties && /max|cap|limit|duties/.test(kn)) columns.max_duties = k;
+      else if (!columns.subjects && /subject|course|paper/.test(kn)) columns.subjects = k;
+      else if (!columns.department && /dep(ar)?t/.test(kn)) columns.department = k;
+      else if (!columns.username && /user|login/.test(kn)) columns.username = k;
+      else if (!columns.name && /name|faculty|invigilator/.test(kn)) columns.name = k;
+      else if (!columns.staff_id && /\bid\b|emp|staff|code/.test(kn)) columns.staff_id = k;
+    }
+  }
+  const get = (r, f) => columns[f] ? r[columns[f]] : '';
+  const invigilators = [], warnings = [], seen = new Set();
+  sheet.rows.forEach((r, i)=>{
+    const name = String(get(r,'name') || '').trim();
+    const staff_id = String(get(r,'staff_id') || '').trim().toUpperCase() || name.toUpperCase();
+    const row = (r.__rowNum__ !== undefined ? r.__rowNum__ : i+1) + 1;
+    if (!staff_id){ warnings.push({ row, warning: 'no name or staff id; skipped' }); return; }
+    if (seen.has(staff_id)){ warnings.push({ row, staff_id, warning: 'duplicate staff id; dropped' }); return; }
+    seen.add(staff_id);
+    const inv = { staff_id, name: name || staff_id, department: String(get(r,'department') || '').trim().toUpperCase(), subjects: listCell(get(r,'subjects')).map(s=>s.toUpperCase()), available: listCell(get(r,'available')), unavailable: listCell(get(r,'unavailable')) };
+    const cap = parseInt(get(r,'max_duties'), 10);
+    if (cap > 0) inv.max_duties = cap;
+    const username = String(get(r,'username') || '').trim();
+    if (username) inv.username = username;
+    invigilators.push(inv);
+  });
+  invigilators.sort((a,b)=> (a.staff_id < b.staff_id ? -1 : 1));
+  return { invigilators, warnings, profile: { name: sheet.profile ? sheet.profile.name : null, mode: sheet.mode } };
 }
 
 function benchToRowCol(benchNumber, rows, cols){
@@ -167,77 +522,521 @@ function benchToRowCol(benchNumber, rows, cols){
   return { row, col };
 }
 
-// Balanced randomized distribution
-function distributeBalanced(studentsArr, hallDefs){
+/* Hall layouts. `layout` is a mask, one string per row, front row first: 'B' a bench of seats_per_bench seats
+   (default 1), '1'..'9' a bench with that many seats, 'P' pillar, '.' aisle / empty floor. Rows may also come as
+   one string split by '/' or newlines. Without a layout the benches fill a rows x cols grid in reading order.
+   Every bench seat is its own allocation position; seat_use picks the seats each allocator may use. */
+function normalizeLayout(v, label='layout'){
+  if (v === undefined || v === null || v === '') return null;
+  const rows = (Array.isArray(v) ? v : String(v).split(/[/\n]+/)).map(r=>String(r).replace(/\s+/g,'').toUpperCase()).filter(Boolean);
+  if (!rows.length) return null;
+  for (const r of rows) if (/[^BP.1-9]/.test(r)) throw httpError(400, `${label}: unknown cell in "${r}" (use B, 1-9, P or .)`);
+  const cols = Math.max(...rows.map(r=>r.length));
+  return rows.map(r=>r.padEnd(cols, '.'));
+}
+
+// "1,3" / [1,3] for every allocator, or per allocator: { odd: [1,3], normal: [1,2,3] } / "odd: 1,3; normal: 1,2,3"
+function normalizeSeatUse(v, label='seat_use'){
+  if (v === undefined || v === null || v === '') return null;
+  const list = x => Array.from(new Set((Array.isArray(x) ? x : String(x).split(/[\s,]+/)).map(n=>parseInt(n,10)).filter(n=>n>0))).sort((a,b)=>a-b);
+  let rules;
+  if (typeof v === 'object' && !Array.isArray(v)) rules = Object.entries(v);
+  else if (String(v).includes(':')) rules = String(v).split(';').filter(p=>p.trim()).map(p=>{ const [k, ...rest] = p.split(':'); return [k, rest.join(':')]; });
+  else rules = [['*', v]];
+  const out = {};
+  for (const [k, x] of rules){
+    const seats = list(x);
+    if (!seats.length) throw httpError(400, `${label}: no seat numbers for ${String(k).trim()}`);
+    out[String(k).trim().toLowerCase()] = seats;
+  }
+  return out;
+}
+
+// every bench of a hall with its grid cell and seat count
+function benchCells(h){
+  const out = [];
+  const perBench = h.seats_per_bench || 1;
+  if (h.layout){
+    h.layout.forEach((line, r)=>{
+      for (let c=0;c<line.length;c++){
+        if (line[c]==='B') out.push({ bench_number: out.length+1, seats: perBench, row: r+1, col: c+1 });
+        else if (/[1-9]/.test(line[c])) out.push({ bench_number: out.length+1, seats: parseInt(line[c],10), row: r+1, col: c+1 });
+      }
+    });
+    return out;
+  }
+  for (let b=1;b<=h.benches;b++) out.push({ bench_number: b, seats: perBench, ...benchToRowCol(b, h.rows, h.cols) });
+  return out;
+}
+
+// every seat of a hall; x is the seat's column on a grid where each bench cell is as wide as the hall's largest bench
+function hallSeats(h){
+  const cells = benchCells(h);
+  const width = Math.max(1, ...cells.map(c=>c.seats));
+  const out = [];
+  for (const c of cells) for (let seat=1;seat<=c.seats;seat++) out.push({ hall_id: h.hall_id, bench_number: c.bench_number, seat, seats: c.seats, row: c.row, col: c.col, x: c.col ? (c.col-1)*width + seat : null });
+  return out;
+}
+
+function seatKey(p){
+  return `${p.hall_id}#${p.bench_number}#${p.seat || 1}`;
+}
+
+// Balanced randomized distribution over the seats the allocator may use
+// taken: seatKey()s already reserved (accommodations) that must be skipped; students left over when the seats run out
+// come back in unseated
+function distributeBalanced(studentsArr, hallDefs, rng, allocator, taken=new Set()){
   const bySub = new Map();
   for (const s of studentsArr){
     const key = (s.subject_code || '__NONE__').toString();
     if (!bySub.has(key)) bySub.set(key, []);
     bySub.get(key).push(s);
   }
-  for (const [_, q] of bySub.entries()) shuffleArray(q);
+  for (const [_, q] of bySub.entries()) shuffleArray(q, rng);
   const subjects = Array.from(bySub.entries()).map(([k,v])=>({ subject:k, q:v.slice(), count:v.length }));
   subjects.sort((a,b)=>b.count - a.count);
   const assignments = [];
   for (const h of hallDefs){
-    const capacity = h.benches;
-    const hallSeats = new Array(capacity).fill(null);
+    const seats = seatPositions(h, allocator);
+    const capacity = seats.length;
+    const filled = new Array(capacity).fill(null);
     let idx = 0;
     while (idx < capacity){
       let placed = false;
       for (let i=0;i<subjects.length && idx<capacity;i++){
         const sub = subjects[i];
         if (sub.q.length === 0) continue;
-        hallSeats[idx] = sub.q.shift();
+        while (idx < capacity && taken.has(seatKey(seats[idx]))) idx++;
+        if (idx >= capacity) break;
+        filled[idx] = sub.q.shift();
         idx++;
         placed = true;
       }
       if (!placed) break;
     }
-    for (let b=0;b<hallSeats.length;b++){
-      if (hallSeats[b]) assignments.push({ hall_id: h.hall_id, bench_index_in_hall: b+1, student: hallSeats[b] });
+    for (let b=0;b<filled.length;b++){
+      if (filled[b]) assignments.push({ hall_id: h.hall_id, bench_number: seats[b].bench_number, seat: seats[b].seat, student: filled[b] });
     }
   }
   const remaining = [];
   for (const sub of subjects) while (sub.q.length) remaining.push(sub.q.shift());
+  let i=0;
   if (remaining.length > 0){
     const positions = [];
-    for (const h of hallDefs) for (let b=1;b<=h.benches;b++) positions.push({ hall_id: h.hall_id, bench: b });
-    const used = new Set(assignments.map(a=> `${a.hall_id}#${a.bench_index_in_hall}`));
-    let i=0;
+    for (const h of hallDefs) positions.push(...seatPositions(h, allocator));
+    const used = new Set([...taken, ...assignments.map(seatKey)]);
     for (const p of positions){
       if (i >= remaining.length) break;
-      const key = `${p.hall_id}#${p.bench}`;
+      const key = seatKey(p);
       if (!used.has(key)){
-        assignments.push({ hall_id: p.hall_id, bench_index_in_hall: p.bench, student: remaining[i++] });
+        assignments.push({ hall_id: p.hall_id, bench_number: p.bench_number, seat: p.seat, student: remaining[i++] });
         used.add(key);
       }
     }
   }
-  return assignments;
+  return { assignments, unseated: remaining.slice(i) };
+}
+
+// Seating constraint engine: neighbours are taken from the hall grid (rows/cols), not bench-index order
+const ADJACENCY_OFFSETS = {
+  orthogonal: [[-1,0],[1,0],[0,-1],[0,1]],
+  diagonal: [[-1,0],[1,0],[0,-1],[0,1],[-1,-1],[-1,1],[1,-1],[1,1]]
+};
+
+function subjectKey(s){
+  return s ? (s.subject_code||'').toString().trim().toUpperCase() : '';
+}
+
+// seats a given allocator is allowed to use in a hall: the hall's seat_use rule for it, else every seat for
+// 'normal' and for 'odd' every other seat of multi-seat benches / every other single-seat bench
+function seatPositions(h, allocator){
+  const odd = !allocator || allocator==='odd';
+  const rules = h.seat_use || {};
+  const allowed = rules[odd ? 'odd' : allocator] || rules['*'];
+  const seats = hallSeats(h);
+  if (allowed) return seats.filter(p=>allowed.includes(p.seat));
+  if (!odd) return seats;
+  return seats.filter(p=>p.seats > 1 ? p.seat % 2 === 1 : (p.bench_number-1) % 2 === 0);
+}
+
+// for every position, the indexes of the positions physically next to it in the same hall (on the seat grid)
+function buildNeighbourIndex(positions, adjacency){
+  const offsets = ADJACENCY_OFFSETS[adjacency] || ADJACENCY_OFFSETS.orthogonal;
+  const byCell = new Map();
+  positions.forEach((p,i)=>{ if (p.row && p.x) byCell.set(`${p.hall_id}#${p.row}#${p.x}`, i); });
+  return positions.map(p=>{
+    if (!p.row || !p.x) return [];
+    const n = [];
+    for (const [dr,dc] of offsets){
+      const j = byCell.get(`${p.hall_id}#${p.row+dr}#${p.x+dc}`);
+      if (j !== undefined) n.push(j);
+    }
+    return n;
+  });
+}
+
+// Greedy fill in grid order (largest subject first that does not clash with an already seated neighbour),
+// spending spare capacity on empty benches before accepting a clash, then a swap pass to repair what is left.
+// opts.reserved ({ hall_id, bench_number, seat, student }) are seated up front and never moved; opts.pace (pacer)
+// lets a large hall set yield to the event loop in the middle of both passes.
+async function seatWithConstraints(studentsArr, hallDefs, opts={}){
+  const pace = opts.pace || pacer();
+  const positions = [];
+  for (const h of hallDefs) positions.push(...seatPositions(h, opts.allocator));
+  const neighbours = buildNeighbourIndex(positions, opts.adjacency);
+  const seated = new Array(positions.length).fill(null);
+  const locked = new Array(positions.length).fill(false);
+  const indexOf = new Map(positions.map((p,i)=>[seatKey(p), i]));
+  for (const r of opts.reserved || []){
+    const i = indexOf.get(seatKey(r));
+    if (i !== undefined){ seated[i] = r.student; locked[i] = true; }
+  }
+  let free = locked.filter(l=>!l).length;
+  const clashes = (i, s) => {
+    const k = subjectKey(s);
+    return k ? neighbours[i].filter(j => seated[j] && subjectKey(seated[j])===k) : [];
+  };
+
+  const bySub = new Map();
+  for (const s of studentsArr){
+    const key = subjectKey(s) || '__NONE__';
+    if (!bySub.has(key)) bySub.set(key, []);
+    bySub.get(key).push(s);
+  }
+  for (const [_, q] of bySub.entries()) shuffleArray(q, opts.rng);
+  const subjects = Array.from(bySub.values()).map(q=>({ q: q.slice() }));
+
+  let remaining = studentsArr.length;
+  for (let i=0;i<positions.length && remaining>0;i++){
+    if (locked[i]) continue;
+    if (pace.due()) await pace();
+    const slack = free-- - remaining;
+    subjects.sort((a,b)=>b.q.length - a.q.length);
+    let pick = subjects.find(sub => sub.q.length && !clashes(i, sub.q[0]).length);
+    if (!pick){
+      if (slack > 0) continue;
+      pick = subjects.find(sub => sub.q.length);
+    }
+    seated[i] = pick.q.shift();
+    remaining--;
+  }
+
+  for (let i=0;i<positions.length;i++){
+    const s = seated[i];
+    if (!s || locked[i] || !clashes(i, s).length) continue;
+    for (let j=0;j<positions.length;j++){
+      if (j===i || locked[j]) continue;
+      if (pace.due()) await pace();
+      const t = seated[j];
+      seated[i] = t; seated[j] = s;
+      if (!clashes(j, s).length && (!t || !clashes(i, t).length)) break;
+      seated[i] = s; seated[j] = t;
+    }
+  }
+
+  const assignments = [];
+  positions.forEach((p,i)=>{ if (seated[i] && !locked[i]) assignments.push({ hall_id: p.hall_id, bench_number: p.bench_number, seat: p.seat, student: seated[i] }); });
+  const unseated = [];
+  for (const sub of subjects) unseated.push(...sub.q);
+  return { assignments, unseated };
+}
+
+// Check final rows against the adjacency rule; used as the report for every allocator
+function findAdjacencyViolations(rows, adjacency, hallDefs){
+  if (adjacency === 'none') return [];
+  const xOf = new Map();
+  for (const h of hallDefs) for (const p of hallSeats(h)) xOf.set(seatKey(p), p.x);
+  const occupied = rows.filter(r=>r.register_number).map(r=>({ ...r, x: xOf.get(seatKey(r)) }));
+  const neighbours = buildNeighbourIndex(occupied, adjacency);
+  const out = [];
+  occupied.forEach((r,i)=>{
+    const k = subjectKey(r);
+    if (!k) return;
+    const hits = neighbours[i].filter(j => subjectKey(occupied[j])===k);
+    if (hits.length) out.push({ hall_id: r.hall_id, bench_number: r.bench_number, seat: r.seat, row: r.row, col: r.col, register_number: r.register_number, subject_code: k, conflicts_with: hits.map(j=>({ bench_number: occupied[j].bench_number, seat: occupied[j].seat })) });
+  });
+  return out;
+}
+
+/* Accommodations. Students carry `accommodations` tags, halls carry `tags`, seats get tags from their
+   position (row 1 = front_row, bench end next to the wall or an aisle cell = aisle) plus any listed for
+   their bench in the hall's `bench_tags`. */
+const ACCOMMODATION_RULES = {
+  front_row: { bench:'front_row' },
+  aisle: { bench:'aisle' },
+  accessible: { hall:'accessible' },
+  extra_time: { hall:'extra_time_room' },
+  separate_room: { hall:'separate_room' },
+  scribe: { hall:'separate_room' }
+};
+
+function normalizeTags(v){
+  const list = Array.isArray(v) ? v : String(v||'').split(/[,;|]/);
+  return Array.from(new Set(list.map(t=>String(t).trim().toLowerCase().replace(/[\s-]+/g,'_')).filter(Boolean)));
+}
+
+function hallTags(h){
+  return new Set(normalizeTags(h.tags));
+}
+
+function benchTags(h, p){
+  const tags = new Set(normalizeTags((h.bench_tags || {})[p.bench_number]));
+  if (p.row === 1) tags.add('front_row');
+  const left = p.col === 1 || (h.layout && h.layout[p.row-1][p.col-2]==='.');
+  const right = p.col === h.cols || (h.layout && h.layout[p.row-1][p.col]==='.');
+  if ((left && (p.seat || 1) === 1) || (right && (p.seat || 1) === (p.seats || 1))) tags.add('aisle');
+  return tags;
+}
+
+function accommodationNeeds(s){
+  const tags = normalizeTags(s.accommodations);
+  return { tags, unknown: tags.filter(t=>!ACCOMMODATION_RULES[t]), hall: tags.map(t=>ACCOMMODATION_RULES[t] && ACCOMMODATION_RULES[t].hall).filter(Boolean), bench: tags.map(t=>ACCOMMODATION_RULES[t] && ACCOMMODATION_RULES[t].bench).filter(Boolean) };
+}
+
+// every seat an allocator may use, with the hall and seat tags accommodations are matched against
+function accommodationPositions(hallDefs, allocator){
+  const positions = [];
+  for (const h of hallDefs) for (const p of seatPositions(h, allocator)) positions.push({ ...p, hallTags: hallTags(h), benchTags: benchTags(h, p) });
+  return positions;
+}
+
+// separate-room halls only take students who need one
+function hallNeedsMet(needs, pos){
+  return needs.hall.every(t=>pos.hallTags.has(t)) && (needs.hall.includes('separate_room') || !pos.hallTags.has('separate_room'));
+}
+
+function benchNeedsMet(needs, pos){
+  return needs.bench.every(t=>pos.benchTags.has(t));
+}
+
+// tags a seat leaves unmet (every tag without a seat); unknown tags are always unmet
+function missingNeeds(needs, pos){
+  return needs.tags.filter(t=>{
+    const rule = ACCOMMODATION_RULES[t];
+    if (!rule || !pos) return true;
+    return rule.hall ? !pos.hallTags.has(rule.hall) : !pos.benchTags.has(rule.bench);
+  });
+}
+
+// Reserve a bench for every student with accommodations, most demanding first, before the general fill.
+// A student whose needs cannot all be met keeps the closest bench that at least satisfies the hall need,
+// otherwise goes back to the general pool; both cases are returned in unmet. Locked seats (fixed) are not used.
+async function placeAccommodations(pool, hallDefs, allocator, adjacency, fixed=[], pace=pacer()){
+  const tagged = pool.filter(s=>normalizeTags(s.accommodations).length);
+  if (!tagged.length) return { reserved: [], rest: pool, unmet: [] };
+  const positions = accommodationPositions(hallDefs, allocator);
+  const neighbours = buildNeighbourIndex(positions, adjacency==='none' ? 'orthogonal' : adjacency);
+  const taken = new Array(positions.length).fill(null);
+  const fixedAt = new Map(fixed.map(f=>[seatKey(f), f.student || {}]));
+  positions.forEach((p,i)=>{ if (fixedAt.has(seatKey(p))) taken[i] = fixedAt.get(seatKey(p)); });
+  const clash = (i, s) => adjacency!=='none' && subjectKey(s) && neighbours[i].some(j=>taken[j] && subjectKey(taken[j])===subjectKey(s));
+
+  const order = tagged.map(s=>({ s, needs: accommodationNeeds(s) })).sort((a,b)=>(b.needs.hall.length + b.needs.bench.length) - (a.needs.hall.length + a.needs.bench.length));
+  const reservedSet = new Set();
+  const reserved = [], unmet = [];
+  for (const { s, needs } of order){
+    if (pace.due()) await pace();
+    if (!needs.hall.length && !needs.bench.length){
+      unmet.push({ register_number: s.register_number, accommodations: needs.tags, missing: needs.unknown, unknown: needs.unknown, placed: null });
+      continue;
+    }
+    const hallOk = i => !taken[i] && hallNeedsMet(needs, positions[i]);
+    const fullOk = i => hallOk(i) && benchNeedsMet(needs, positions[i]);
+    let i = positions.findIndex((_,k)=>fullOk(k) && !clash(k, s));
+    if (i === -1) i = positions.findIndex((_,k)=>fullOk(k));
+    const complete = i !== -1;
+    if (!complete && needs.hall.length) i = positions.findIndex((_,k)=>hallOk(k));
+    if (i !== -1){
+      taken[i] = s;
+      reservedSet.add(s);
+      reserved.push({ hall_id: positions[i].hall_id, bench_number: positions[i].bench_number, seat: positions[i].seat, student: s });
+    }
+    const missing = complete ? needs.unknown : missingNeeds(needs, positions[i]);
+    if (missing.length) unmet.push({ register_number: s.register_number, accommodations: needs.tags, missing, unknown: needs.unknown, placed: i === -1 ? null : { hall_id: positions[i].hall_id, bench_number: positions[i].bench_number, seat: positions[i].seat } });
+  }
+  return { reserved, rest: pool.filter(s=>!reservedSet.has(s)), unmet };
+}
+
+// Accommodated students first, then everyone else around them; separate-room halls are kept for the former.
+// fixed: locked seats ({ hall_id, bench_number, seat, student | null }) kept as they are, the pool excludes them.
+// unseated: students of the pool left without a seat when the halls run out. ctx: { signal } as for checkpoint.
+async function allocatePool(pool, hallDefs, allocator, adjacency, rng, fixed=[], ctx={}){
+  const pace = pacer(ctx);
+  const { reserved, rest, unmet } = await placeAccommodations(pool, hallDefs, allocator, adjacency, fixed, pace);
+  const generalDefs = hallDefs.filter(h=>!hallTags(h).has('separate_room'));
+  const general = adjacency !== 'none'
+    ? await seatWithConstraints(rest, generalDefs, { allocator, adjacency, rng, reserved: fixed.concat(reserved), pace })
+    : distributeBalanced(rest, generalDefs, rng, allocator, new Set(fixed.concat(reserved).map(seatKey)));
+  const assignments = fixed.filter(f=>f.student).concat(reserved, general.assignments);
+  return { assignments, unmet, unseated: general.unseated };
+}
+
+// what the reports keep of a student left without a seat
+function unseatedEntry(s){
+  return { register_number: s.register_number, student_name: s.student_name, subject_code: s.subject_code };
+}
+
+/* Optimizer bridge: allocator 'optimize' hands a slot to optimizer/optimize.py (OR-Tools CP-SAT). Node keeps the
+   hall geometry: seats, neighbour pairs and the seats each accommodated student may take are worked out here and
+   the solver only picks a subject (or accommodated student) per seat. The built-in allocation for the same seats is
+   computed first as the solver's hint, and stands whenever python / OR-Tools is missing or no solution comes back. */
+const OPTIMIZER_SCRIPT = process.env.OPTIMIZER_SCRIPT || path.join(__dirname, '..', 'optimizer', 'optimize.py');
+const OPTIMIZER_PYTHON = process.env.OPTIMIZER_PYTHON || 'python3';
+
+// CP-SAT is only reproducible on one worker with a deterministic-time budget (a wall-clock limit or several
+// workers make the answer depend on machine load), so both are pinned here and recorded in audit.params
+function optimizerOptions(o){
+  const deterministicTime = Math.min(600, Math.max(1, Number(o && o.deterministicTime) || 30));
+  return { deterministicTime, workers: 1 };
+}
+
+// The solver runs as a child process so the server keeps answering meanwhile; aborting `signal` kills it
+function runOptimizer(problem, opts, signal){
+  if (!fs.existsSync(OPTIMIZER_SCRIPT)) return Promise.resolve({ error: 'optimizer not installed' });
+  return new Promise(resolve=>{
+    const child = spawn(OPTIMIZER_PYTHON, [OPTIMIZER_SCRIPT]);
+    const stdout = [], stderr = [];
+    let stopped = null, settled = false;
+    const stop = why => { stopped = why; child.kill('SIGKILL'); };
+    // a safety net only: deterministic time runs somewhat slower than the clock on a slow host
+    const timer = setTimeout(()=>stop('solver timed out'), (opts.deterministicTime * 10 + 30) * 1000);
+    const onAbort = ()=>stop('cancelled');
+    if (signal) signal.addEventListener('abort', onAbort, { once:true });
+    const settle = r => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve(r);
+    };
+    child.stdout.on('data', c=>stdout.push(c));
+    child.stderr.on('data', c=>stderr.push(c));
+    child.on('error', e=>settle({ error: e.message }));
+    child.on('close', code=>{
+      if (stopped) return settle({ error: stopped });
+      if (code !== 0) return settle({ error: Buffer.concat(stderr).toString('utf8').trim() || `solver exited with ${code}` });
+      try { settle({ result: JSON.parse(Buffer.concat(stdout).toString('utf8')) }); } catch (e) { settle({ error: 'unreadable solver output' }); }
+    });
+    child.stdin.on('error', ()=>{}); // EPIPE when the solver dies before reading its input
+    child.stdin.end(JSON.stringify(problem));
+  });
+}
+
+async function optimizePool(pool, hallDefs, adjacency, rng, opts, signal, fixed=[]){
+  const fallback = await allocatePool(pool, hallDefs, 'optimize', adjacency, rng, fixed, { signal });
+  const seed = Math.floor(rng() * 2147483647);
+  const all = [];
+  hallDefs.forEach((h, hall)=>{
+    const general = !hallTags(h).has('separate_room');
+    for (const p of accommodationPositions([h], 'optimize')) all.push({ ...p, hall, general });
+  });
+  // locked seats are not the solver's to fill; their students' subjects are to be avoided next to them
+  const fixedAt = new Map(fixed.map(f=>[seatKey(f), f.student]));
+  const neighbours = adjacency !== 'none' ? buildNeighbourIndex(all, adjacency) : all.map(()=>[]);
+  const positions = [], avoid = [];
+  all.forEach((p, i)=>{
+    if (fixedAt.has(seatKey(p))) return;
+    positions.push(p);
+    avoid.push(Array.from(new Set(neighbours[i].map(j=>subjectKey(fixedAt.get(seatKey(all[j])))).filter(Boolean))));
+  });
+  const indexOf = new Map(positions.map((p,i)=>[seatKey(p), i]));
+  const edges = [];
+  neighbours.forEach((n, a)=>{
+    const i = indexOf.get(seatKey(all[a]));
+    if (i === undefined) return;
+    for (const b of n){ const j = indexOf.get(seatKey(all[b])); if (j !== undefined && i < j) edges.push([i, j]); }
+  });
+
+  const subjects = [], subjectIndex = new Map();
+  const subjectOf = s => {
+    const code = subjectKey(s) || '__NONE__';
+    if (!subjectIndex.has(code)){ subjectIndex.set(code, subjects.length); subjects.push({ code, students: [] }); }
+    return subjectIndex.get(code);
+  };
+  // accommodated students may take the seats meeting all their needs, else the ones meeting the hall needs;
+  // with neither (or only unknown tags), or when the solver leaves them off those, they sit with everyone else
+  const special = [], unmet = [];
+  for (const s of pool){
+    const needs = accommodationNeeds(s);
+    let allowed = [];
+    if (needs.hall.length || needs.bench.length){
+      allowed = positions.map((_,i)=>i).filter(i=>hallNeedsMet(needs, positions[i]) && benchNeedsMet(needs, positions[i]));
+      if (!allowed.length && needs.hall.length) allowed = positions.map((_,i)=>i).filter(i=>hallNeedsMet(needs, positions[i]));
+    }
+    if (allowed.length){ special.push({ s, needs, allowed, subject: subjectOf(s) }); continue; }
+    if (needs.tags.length) unmet.push({ register_number: s.register_number, accommodations: needs.tags, missing: missingNeeds(needs, null), unknown: needs.unknown, placed: null });
+    subjects[subjectOf(s)].students.push(s);
+  }
+
+  const specialIndex = new Map(special.map((x,n)=>[x.s, n]));
+  const hint = { general: [], special: special.map(()=>null) };
+  for (const a of fallback.assignments){
+    const i = indexOf.get(seatKey(a));
+    const n = specialIndex.get(a.student);
+    if (i === undefined) continue;
+    if (n !== undefined && special[n].allowed.includes(i)) hint.special[n] = i;
+    else hint.general.push([i, subjectIndex.get(subjectKey(a.student) || '__NONE__')]);
+  }
+  const problem = {
+    positions: positions.map((p, i)=>({ hall: p.hall, general: p.general, avoid: avoid[i].map(code=>subjectIndex.get(code)).filter(k=>k !== undefined) })),
+    edges,
+    subjects: subjects.map(sub=>({ code: sub.code, count: sub.students.length, separate: sub.code !== '__NONE__' })),
+    special: special.map(x=>({ subject: x.subject, allowed: x.allowed })),
+    hint, deterministic_time: opts.deterministicTime, seed
+  };
+  const { result, error } = await runOptimizer(problem, opts, signal);
+  if (error) return { ...fallback, solver: { used: false, reason: error } };
+
+  const assignments = fixed.filter(f=>f.student);
+  const seatOf = new Map();
+  const queues = subjects.map(sub=>sub.students.slice());
+  result.special.forEach((i, n)=>{
+    const x = special[n];
+    if (i === null || i === undefined) queues[x.subject].unshift(x.s);
+    else seatOf.set(x.s, positions[i]);
+  });
+  for (const [i, k] of result.general){
+    const s = queues[k] && queues[k].shift();
+    if (s) seatOf.set(s, positions[i]);
+  }
+  for (const [s, pos] of seatOf) assignments.push({ hall_id: pos.hall_id, bench_number: pos.bench_number, seat: pos.seat, student: s });
+  for (const { s, needs } of special){
+    const pos = seatOf.get(s) || null;
+    const missing = missingNeeds(needs, pos);
+    if (missing.length) unmet.push({ register_number: s.register_number, accommodations: needs.tags, missing, unknown: needs.unknown, placed: pos ? { hall_id: pos.hall_id, bench_number: pos.bench_number, seat: pos.seat } : null });
+  }
+  const unseated = pool.filter(s=>!seatOf.has(s));
+  return { assignments, unmet, unseated, solver: { used: true, status: result.status, objective: result.objective, wall_time: result.wall_time, conflicts: result.conflicts, unseated: unseated.length } };
 }
 
 function buildOutputsFromAssignments(assignments, hallDefs){
   const out = [];
   const map = new Map();
-  for (const a of assignments) map.set(`${a.hall_id}#${a.bench_index_in_hall}`, a.student);
+  for (const a of assignments) map.set(seatKey(a), a.student);
   for (const h of hallDefs){
-    for (let b=1;b<=h.benches;b++){
-      const key = `${h.hall_id}#${b}`;
-      const s = map.get(key);
-      const rc = benchToRowCol(b, h.rows, h.cols);
-      out.push({ hall_id: h.hall_id, bench_number: b, row: rc.row, col: rc.col, register_number: s ? s.register_number : '', student_name: s ? s.student_name : '', subject_code: s ? s.subject_code : '' });
+    for (const p of hallSeats(h)){
+      const s = map.get(seatKey(p));
+      out.push({ hall_id: h.hall_id, bench_number: p.bench_number, seat: p.seat, row: p.row, col: p.col, register_number: s ? s.register_number : '', student_name: s ? s.student_name : '', subject_code: s ? s.subject_code : '', accommodations: s ? normalizeTags(s.accommodations).join(',') : '' });
     }
   }
   return out;
 }
 
+// hall grid for the _viz sheet: one column per seat (a bench cell spans as many columns as the hall's largest
+// bench has seats), pillars and aisles from the layout
 function buildVizAOA(rowsForHall, h){
-  const R = h.rows, C = h.cols;
-  const aoa = Array.from({length:R}, ()=>Array.from({length:C}, ()=>'Empty'));
+  const seats = hallSeats(h);
+  const W = Math.max(1, ...seats.map(p=>p.seats));
+  const R = h.rows, C = h.cols * W;
+  const aoa = Array.from({length:R}, (_, r)=>Array.from({length:C}, (_, x)=>{
+    const cell = h.layout ? h.layout[r][Math.floor(x/W)] : null;
+    return cell==='P' ? 'Pillar' : cell==='.' ? '' : 'Empty';
+  }));
+  const xOf = new Map(seats.map(p=>[seatKey(p), p.x]));
   for (const r of rowsForHall){
-    const rr = r.row ? r.row-1 : Math.floor((r.bench_number-1)/C);
-    const cc = r.col ? r.col-1 : ((r.bench_number-1)%C);
+    const x = xOf.get(seatKey(r));
+    const rr = r.row ? r.row-1 : Math.floor((r.bench_number-1)/h.cols);
+    const cc = x ? x-1 : ((r.bench_number-1)%h.cols);
     const txt = (r.student_name||'') + (r.register_number ? ` (${r.register_number})` : '') + (r.subject_code ? `\n${r.subject_code}` : '');
     aoa[rr][cc] = txt || 'Empty';
   }
@@ -245,183 +1044,1217 @@ function buildVizAOA(rowsForHall, h){
 }
 
 function saveJson(obj, prefix){
-  const name = `${prefix}_${Date.now()}.json`;
+  const name = `${prefix}_${uniqueStamp()}.json`;
   fs.writeFileSync(path.join(UPLOAD_DIR, name), JSON.stringify(obj, null, 2), 'utf8');
   return name;
 }
 
+function sha256(buf){
+  return crypto.createHash('sha256').update(buf).digest('hex');
+}
+
+function loadHallDefs(hallsFile, numHalls, benchesPerHall){
+  const hallDefs = [];
+  if (hallsFile) {
+    const hallsPath = uploadPath(hallsFile);
+    if (!fs.existsSync(hallsPath)) throw httpError(400, 'hallsFile not found');
+    const rawHalls = JSON.parse(fs.readFileSync(hallsPath,'utf8'));
+    for (const h of rawHalls) {
+      const def = { hall_id: h.hall_id, tags: normalizeTags(h.tags), bench_tags: h.bench_tags || {} };
+      const seats = parseInt(h.seats_per_bench, 10);
+      if (seats > 0) def.seats_per_bench = seats;
+      const seatUse = normalizeSeatUse(h.seat_use, `hall ${h.hall_id} seat_use`);
+      if (seatUse) def.seat_use = seatUse;
+      const layout = normalizeLayout(h.layout, `hall ${h.hall_id} layout`);
+      if (layout){
+        hallDefs.push({ ...def, benches: benchCells({ layout }).length, rows: layout.length, cols: layout[0].length, layout });
+        continue;
+      }
+      const benches = h.benches || 30;
+      let rows = h.rows || null, cols = h.cols || null;
+      if (!rows && !cols) { cols = 10; rows = Math.ceil(benches / cols); }
+      else if (rows && !cols) cols = Math.ceil(benches / rows);
+      else if (cols && !rows) rows = Math.ceil(benches / cols);
+      if (rows * cols < benches) throw httpError(400, `hall ${h.hall_id}: ${benches} benches do not fit in ${rows} rows x ${cols} cols; fix the grid or give a layout`);
+      hallDefs.push({ ...def, benches, rows, cols });
+    }
+  } else {
+    const n = parseInt(numHalls || 0, 10);
+    const b = parseInt(benchesPerHall || 30, 10);
+    for (let i=1;i<=n;i++){ const cols=10; const rows=Math.ceil(b/cols); hallDefs.push({ hall_id:`Hall_${i}`, benches: b, rows, cols }); }
+  }
+  return hallDefs;
+}
+
+/* Timetable: every exam sitting is a slot { date, session (FN/AN), start, end, subjects }.
+   Legacy `days` entries become undated slots, and with neither everyone sits one 'single' slot. */
+const SESSION_ORDER = { FN: 0, AN: 1 };
+
+// slot keys end up in file names
+function slotKey(s){
+  return String(s).replace(/[^A-Za-z0-9_-]+/g, '_');
+}
+
+function buildSlots(timetable, days){
+  let slots;
+  if (Array.isArray(timetable) && timetable.length){
+    slots = timetable.map((t,i)=>{
+      if (!t || !Array.isArray(t.subjects) || !t.subjects.length) throw httpError(400, `timetable[${i}]: subjects required`);
+      const session = t.session ? String(t.session).trim().toUpperCase() : null;
+      const key = slotKey(t.date ? [t.date, session].filter(Boolean).join('_') : `slot_${i+1}`);
+      return { key, date: t.date || null, session, start: t.start || null, end: t.end || null, subjects: t.subjects.map(x=>String(x).trim().toUpperCase()) };
+    });
+  } else if (Array.isArray(days) && days.length){
+    slots = days.map((d,i)=>({ key: slotKey(d.day || `day_${i+1}`), date: null, session: null, start: null, end: null, subjects: Array.isArray(d.subjects) && d.subjects.length ? d.subjects.map(x=>String(x).trim().toUpperCase()) : null }));
+  } else {
+    slots = [{ key: 'single', date: null, session: null, start: null, end: null, subjects: null }];
+  }
+  const seen = new Set();
+  for (const slot of slots){
+    if (seen.has(slot.key)) throw httpError(400, `duplicate timetable slot: ${slot.key}`);
+    seen.add(slot.key);
+  }
+  return slots;
+}
+
+// Students sitting a slot, one seat each. The student list holds one record per (register, subject), so
+// a register with two of the slot's subjects is a clash: seated for the subject listed first in the slot.
+function slotPool(students, slot){
+  const byReg = new Map();
+  for (const s of students){
+    if (slot.subjects && !slot.subjects.includes(subjectKey(s))) continue;
+    if (!byReg.has(s.register_number)) byReg.set(s.register_number, []);
+    byReg.get(s.register_number).push(s);
+  }
+  const rank = k => slot.subjects ? slot.subjects.indexOf(k) : 0;
+  const pool = [], clashes = [];
+  for (const [reg, list] of byReg){
+    const subjects = Array.from(new Set(list.map(subjectKey)));
+    const seatedFor = list.slice().sort((a,b)=> rank(subjectKey(a)) - rank(subjectKey(b)) || (subjectKey(a) < subjectKey(b) ? -1 : 1))[0];
+    pool.push(seatedFor);
+    if (subjects.length > 1) clashes.push({ register_number: reg, subjects, seated_for: subjectKey(seatedFor) });
+  }
+  return { pool, clashes };
+}
+
+// Locked seats of a slot (locks[slot] = [{ hall_id, bench_number, seat, register_number | null }]) checked against
+// this run's halls and pool: a seat that no longer exists, or a locked student not sitting the slot, is dropped
+function lockedSeats(locks, slotKey, pool, hallDefs){
+  const seats = new Set();
+  for (const h of hallDefs) for (const p of hallSeats(h)) seats.add(seatKey(p));
+  const byReg = new Map(pool.map(s=>[s.register_number, s]));
+  const fixed = [], dropped = [], used = new Set();
+  for (const l of (locks && locks[slotKey]) || []){
+    const student = l.register_number ? byReg.get(l.register_number) : null;
+    if (!seats.has(seatKey(l)) || used.has(seatKey(l)) || (l.register_number && !student)){ dropped.push(l); continue; }
+    used.add(seatKey(l));
+    if (student) byReg.delete(l.register_number);
+    fixed.push({ hall_id: l.hall_id, bench_number: l.bench_number, seat: l.seat || 1, student });
+  }
+  const lockedStudents = new Set(fixed.map(f=>f.student));
+  return { fixed, rest: pool.filter(s=>!lockedStudents.has(s)), dropped };
+}
+
+// slot keys of a manifest (audit.outputs lists them; older manifests only have the file entries)
+function manifestDayKeys(manifest){
+  if (manifest.audit && manifest.audit.outputs) return Object.keys(manifest.audit.outputs);
+  return Object.keys(manifest).filter(k=>k!=='audit' && k!=='schedule' && !k.endsWith('_xlsx') && !k.endsWith('_pdf'));
+}
+
+// Between slots and render steps: stop if the job was cancelled, and let other requests run
+function checkpoint(ctx){
+  if (ctx.signal && ctx.signal.aborted) return Promise.reject(httpError(409, 'cancelled'));
+  return new Promise(resolve=>setImmediate(resolve));
+}
+
+// checkpoint for the long loops inside a slot (accommodations, fill, swap repair): pace.due() turns true after
+// about 20 ms of work, and `await pace()` then yields, so progress events and cancel get through mid-slot
+function pacer(ctx={}){
+  let last = Date.now(), n = 0;
+  const pace = () => { last = Date.now(); return checkpoint(ctx); };
+  pace.due = () => (++n & 255) === 0 && Date.now() - last >= 20;
+  return pace;
+}
+
+// Whole allocation pipeline, in memory. Every random choice comes from the seeded rng,
+// so the same seed + params + input bytes always produce the same rows.
+// ctx: { signal, progress } when run as a job (see jobs.js)
+async function runAllocation(params, ctx={}){
+  const { studentsFile, hallsFile, invigilatorsFile, numHalls, benchesPerHall, allocator, timetable, days } = params;
+  if (!studentsFile) throw httpError(400, 'studentsFile required');
+  const adj = params.adjacency || 'orthogonal';
+  if (!['none','orthogonal','diagonal'].includes(adj)) throw httpError(400, 'adjacency must be none, orthogonal or diagonal');
+  if (allocator && !['odd','normal','optimize'].includes(allocator)) throw httpError(400, 'allocator must be odd, normal or optimize');
+  const seed = String(params.seed);
+  const studentsPath = uploadPath(studentsFile);
+  if (!fs.existsSync(studentsPath)) throw httpError(400, 'studentsFile not found');
+  const studentsBuf = fs.readFileSync(studentsPath);
+  const students = JSON.parse(studentsBuf.toString('utf8'));
+  const inputs = { students: { file: studentsFile, sha256: sha256(studentsBuf) }, halls: null };
+  const hallDefs = loadHallDefs(hallsFile, numHalls, benchesPerHall);
+  if (hallsFile) inputs.halls = { file: hallsFile, sha256: sha256(fs.readFileSync(uploadPath(hallsFile))) };
+  let invigilators = null, duty = null;
+  if (invigilatorsFile){
+    duty = dutyOptions(params.duty);
+    const rosterPath = uploadPath(invigilatorsFile);
+    if (!fs.existsSync(rosterPath)) throw httpError(400, 'invigilatorsFile not found');
+    const rosterBuf = fs.readFileSync(rosterPath);
+    invigilators = JSON.parse(rosterBuf.toString('utf8'));
+    inputs.invigilators = { file: invigilatorsFile, sha256: sha256(rosterBuf) };
+  }
+
+  const slots = buildSlots(timetable, days);
+  const rng = makeRng(seed);
+  const allocationsByDay = {};
+  const violations = [];
+  const unmetAccommodations = [];
+  const clashes = [];
+  const unseated = [], unseatedBySlot = {};
+  const optimizer = allocator==='optimize' ? optimizerOptions(params.optimizer) : null;
+  const solver = {};
+  const droppedLocks = [];
+  for (const [i, slot] of slots.entries()){
+    if (ctx.progress) ctx.progress({ stage: 'allocate', done: i, total: slots.length, slot: slot.key });
+    await checkpoint(ctx);
+    const { pool, clashes: slotClashes } = slotPool(students, slot);
+    shuffleArray(pool, rng);
+    const { fixed, rest, dropped } = lockedSeats(params.locks, slot.key, pool, hallDefs);
+    for (const l of dropped) droppedLocks.push({ day: slot.key, ...l });
+    const { assignments, unmet, solver: slotSolver } = allocator==='optimize' ? await optimizePool(rest, hallDefs, adj, rng, optimizer, ctx.signal, fixed) : await allocatePool(rest, hallDefs, allocator, adj, rng, fixed, ctx);
+    if (slotSolver) solver[slot.key] = slotSolver;
+    const finalRows = buildOutputsFromAssignments(assignments, hallDefs);
+    allocationsByDay[slot.key] = finalRows;
+    for (const c of slotClashes) clashes.push({ day: slot.key, ...c });
+    for (const u of unmet) unmetAccommodations.push({ day: slot.key, ...u });
+    // every student of the slot needs a seat: whoever the rows do not have is reported, whichever allocator ran
+    const seatedRegs = new Set(finalRows.filter(r=>r.register_number).map(r=>r.register_number));
+    const left = pool.filter(s=>!seatedRegs.has(s.register_number));
+    unseatedBySlot[slot.key] = left.map(s=>s.register_number);
+    for (const u of left) unseated.push({ day: slot.key, ...unseatedEntry(u) });
+    for (const v of findAdjacencyViolations(finalRows, adj, hallDefs)) violations.push({ day: slot.key, ...v });
+  }
+  if (ctx.progress) ctx.progress({ stage: 'allocate', done: slots.length, total: slots.length, slot: null });
+  await checkpoint(ctx);
+  const schedule = {};
+  for (const slot of slots) schedule[slot.key] = { date: slot.date, session: slot.session, start: slot.start, end: slot.end, subjects: slot.subjects };
+  const replayParams = { allocator: allocator || null, optimizer, adjacency: adj, header: resolvePrintHeader(params.header), timetable: timetable || null, days: days || null, numHalls: numHalls || null, benchesPerHall: benchesPerHall || null, locks: params.locks || null, duty };
+  return { seed, inputs, params: replayParams, hallDefs, schedule, allocationsByDay, violations, unmetAccommodations, clashes, unseated, unseatedBySlot, droppedLocks, solver: optimizer ? solver : null, invigilators };
+}
+
+// Files written per day: output kind -> manifest key suffix and file extension
+const OUTPUT_FILES = {
+  json: { suffix:'', ext:'json' },
+  xlsx: { suffix:'_xlsx', ext:'xlsx' },
+  seating_pdf: { suffix:'_seating_pdf', ext:'seating.pdf' },
+  door_pdf: { suffix:'_door_pdf', ext:'door.pdf' },
+  attendance_pdf: { suffix:'_attendance_pdf', ext:'attendance.pdf' }
+};
+
+// Institution header printed on every PDF; resolved once per allocation and kept in the manifest for replay
+function resolvePrintHeader(header){
+  const h = header || {};
+  return { institution: h.institution || process.env.INSTITUTION_NAME || '', exam: h.exam || process.env.EXAM_TITLE || '' };
+}
+
+// Serialized outputs for one day; the bytes hashed into the manifest are exactly the bytes written.
+// print: { header, slot, date } for the PDFs (date is the manifest's generated_at).
+async function renderAllocationOutputs(rows, hallDefs, print, signal){
+  const sheets = [{ name: 'bench_allocations', json: rows }];
+  for (const h of hallDefs){
+    const rowsForHall = rows.filter(r=>r.hall_id===h.hall_id).sort((a,b)=>a.bench_number - b.bench_number || a.seat - b.seat);
+    sheets.push({ name: `${String(h.hall_id).substring(0,25)}_roster`.substring(0,31), json: rowsForHall.map(r=>({ bench_number: r.bench_number, seat: r.seat, row: r.row, col: r.col, register_number: r.register_number, student_name: r.student_name, subject_code: r.subject_code, accommodations: r.accommodations })) });
+    sheets.push({ name: `${String(h.hall_id).substring(0,25)}_viz`.substring(0,31), aoa: buildVizAOA(rowsForHall, h) });
+  }
+  // the workbook and PDFs are built on a worker thread (render.js), so the server keeps answering meanwhile
+  return renderAllocation({ rows, hallDefs, print, sheets }, signal);
+}
+
+// Duty chart files, one set per allocation version: output kind -> manifest key and file extension
+const DUTY_FILES = {
+  json: { key:'duties', ext:'json' },
+  xlsx: { key:'duties_xlsx', ext:'xlsx' },
+  pdf: { key:'duties_pdf', ext:'pdf' }
+};
+
+// duty: { studentsPerInvigilator (default 30), minPerHall (default 1) }
+function dutyOptions(d){
+  const o = d || {};
+  const per = parseInt(o.studentsPerInvigilator, 10);
+  const min = parseInt(o.minPerHall, 10);
+  if (hasValue(o.studentsPerInvigilator) && !(per > 0)) throw httpError(400, 'duty.studentsPerInvigilator must be a positive integer');
+  if (hasValue(o.minPerHall) && !(min >= 0)) throw httpError(400, 'duty.minPerHall must be a non-negative integer');
+  return { studentsPerInvigilator: per > 0 ? per : 30, minPerHall: min >= 0 ? min : 1 };
+}
+
+// Invigilators for every occupied hall of every slot, from the final rows (so edits are re-staffed too).
+// Seeded from the allocation seed, so a replay assigns the same people.
+function computeDuties(allocationsByDay, schedule, invigilators, opts, seed){
+  const slots = Object.keys(allocationsByDay).map(k=>{
+    const halls = new Map();
+    for (const r of allocationsByDay[k]){
+      if (!r.register_number) continue;
+      if (!halls.has(r.hall_id)) halls.set(r.hall_id, { hall_id: r.hall_id, occupancy: 0, subjects: new Set() });
+      const h = halls.get(r.hall_id);
+      h.occupancy++;
+      if (r.subject_code) h.subjects.add(r.subject_code);
+    }
+    const slot = (schedule || {})[k] || {};
+    return { key: k, date: slot.date || null, session: slot.session || null, halls: Array.from(halls.values()).map(h=>({ ...h, subjects: Array.from(h.subjects).sort() })) };
+  });
+  return assignDuties(slots, invigilators, opts, makeRng(`${seed}#duties`));
+}
+
+// print: { header, schedule, date } as for the day files
+async function renderDutyOutputs(duties, print){
+  const wb = XLSX.utils.book_new();
+  const chart = duties.duties.map(d=>({ day: d.day, date: d.date, session: d.session, hall_id: d.hall_id, candidates: d.occupancy, needed: d.needed,
+    staff_ids: d.invigilators.map(i=>i.staff_id).join(', '), invigilators: d.invigilators.map(i=>i.name).join(', ') }));
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(chart), 'duties');
+  const perInvigilator = duties.load.map(l=>({ staff_id: l.staff_id, name: l.name, department: l.department, duties: l.duties, max_duties: l.max_duties,
+    halls: duties.duties.filter(d=>d.invigilators.some(i=>i.staff_id===l.staff_id)).map(d=>`${d.day} ${d.hall_id}`).join(', ') }));
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(perInvigilator), 'by_invigilator');
+  const shortfall = duties.shortfall.map(s=>({ day: s.day, date: s.date, session: s.session, hall_id: s.hall_id, needed: s.needed, assigned: s.assigned,
+    busy: s.ruled_out.busy, unavailable: s.ruled_out.unavailable, at_cap: s.ruled_out.cap, own_subject: s.ruled_out.own_subject }));
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(shortfall), 'shortfall');
+  return {
+    json: Buffer.from(JSON.stringify(duties, null, 2), 'utf8'),
+    xlsx: XLSX.write(wb, { type:'buffer', bookType:'xlsx' }),
+    pdf: await dutyChartPdf(duties, print)
+  };
+}
+
+function withSeed(params){
+  const { seed } = params;
+  return { ...params, seed: (seed === undefined || seed === null || seed === '') ? crypto.randomBytes(8).toString('hex') : seed };
+}
+
+function hasValue(v){
+  return v !== undefined && v !== null && v !== '';
+}
+
+function findSession(id){
+  const session = store.getSession(parseInt(id, 10));
+  if (!session) throw httpError(404, 'session not found');
+  return session;
+}
+
+// Archived sessions are read-only
+function activeSession(id){
+  const session = findSession(id);
+  if (session.status !== 'active') throw httpError(409, `session ${session.id} is ${session.status}`);
+  return session;
+}
+
+// Where an upload is recorded: the given sessionId, else a new session. Call it once the upload has succeeded
+// (so failures leave no empty sessions), after checking the id up front with activeSession.
+function targetSession(body, fallbackName){
+  if (hasValue(body.sessionId)) return activeSession(body.sessionId).id;
+  return store.createSession(body.sessionName || fallbackName).id;
+}
+
+// Multipart uploads are on disk before sessionId can be read; when the session is refused they are removed again
+function checkUploadSession(req){
+  if (!hasValue(req.body.sessionId)) return;
+  activeSession(req.body.sessionId);
+}
+
+// raw upload files are kept only as the sources of an accepted upload; a rejected one leaves nothing behind
+function discardUploads(req){
+  for (const f of [].concat(req.files || [], req.file || [])) fs.rmSync(f.path, { force:true });
+}
+
+// With a sessionId, studentsFile / hallsFile / invigilatorsFile default to the session's latest cohort, hall
+// inventory and invigilator roster (invigilatorsFile: null allocates without duties)
+function withSessionInputs(params){
+  const named = { ...params };
+  for (const k of ['studentsFile', 'hallsFile', 'invigilatorsFile']) if (named[k]) named[k] = path.basename(String(named[k]));
+  if (!hasValue(params.sessionId)) return { ...named, sessionId: null };
+  const session = findSession(params.sessionId);
+  const out = { ...named, sessionId: session.id };
+  if (!out.studentsFile){
+    const cohort = store.latestCohort(session.id);
+    if (!cohort) throw httpError(400, `session ${session.id} has no student cohort`);
+    out.studentsFile = cohort.file;
+  }
+  if (!out.hallsFile && !out.numHalls){
+    const halls = store.latestHallInventory(session.id);
+    if (halls) out.hallsFile = halls.file;
+  }
+  if (out.invigilatorsFile === undefined){
+    const roster = store.latestInvigilatorRoster(session.id);
+    if (roster) out.invigilatorsFile = roster.file;
+  }
+  return out;
+}
+
+// Allocate, render every output and write them with their manifest. All files are rendered before the first is
+// written, so a cancelled job leaves nothing behind. The allocation becomes the next version of its session:
+// the given one, else the one owning the student list, else a new session.
+async function allocateAndWrite(params, ctx={}){
+  const input = withSessionInputs(params);
+  const sessionId = input.sessionId || (input.studentsFile && store.sessionOfFile(input.studentsFile));
+  if (sessionId) activeSession(sessionId);
+  input.locks = sessionId ? resolveLocks(sessionId) : null;
+  const result = await runAllocation(withSeed(input), ctx);
+
+  const ts = uniqueStamp();
+  const manifest = {};
+  const outputs = {};
+  const files = [];
+  const keys = Object.keys(result.allocationsByDay);
+  for (const [i, k] of keys.entries()){
+    if (ctx.progress) ctx.progress({ stage: 'render', done: i, total: keys.length, slot: k });
+    await checkpoint(ctx);
+    const out = await renderAllocationOutputs(result.allocationsByDay[k], result.hallDefs, { header: result.params.header, slot: { key: k, ...result.schedule[k] }, date: new Date(ts) }, ctx.signal);
+    outputs[k] = {};
+    for (const [kind, f] of Object.entries(OUTPUT_FILES)){
+      const fname = `allocation_${k}_${ts}.${f.ext}`;
+      files.push([fname, out[kind]]);
+      manifest[`${k}${f.suffix}`] = fname;
+      outputs[k][kind] = sha256(out[kind]);
+    }
+  }
+  let duties = null, dutyHashes = null;
+  if (result.invigilators){
+    duties = computeDuties(result.allocationsByDay, result.schedule, result.invigilators, result.params.duty, result.seed);
+    const out = await renderDutyOutputs(duties, { header: result.params.header, schedule: result.schedule, date: new Date(ts) });
+    for (const [kind, f] of Object.entries(DUTY_FILES)){
+      const fname = `duties_${ts}.${f.ext}`;
+      files.push([fname, out[kind]]);
+      manifest[f.key] = fname;
+    }
+    dutyHashes = Object.fromEntries(Object.keys(DUTY_FILES).map(kind=>[kind, sha256(out[kind])]));
+  }
+  manifest.schedule = result.schedule;
+  if (result.unseated.length) manifest.unseated = result.unseated;
+  if (result.solver) manifest.solver = result.solver;
+  manifest.audit = { seed: result.seed, generated_at: new Date(ts).toISOString(), inputs: result.inputs, params: result.params, outputs, unseated: result.unseatedBySlot };
+  if (duties) manifest.audit.duties = { rendered_at: manifest.audit.generated_at, outputs: dutyHashes };
+
+  await checkpoint(ctx);
+  if (ctx.progress) ctx.progress({ stage: 'write', done: 0, total: 1, slot: null });
+  for (const [fname, buf] of files) fs.writeFileSync(path.join(UPLOAD_DIR, fname), buf);
+  const manifestName = `manifest_${ts}.json`;
+  fs.writeFileSync(path.join(UPLOAD_DIR, manifestName), JSON.stringify(manifest, null, 2), 'utf8');
+  let owner = sessionId;
+  if (!owner){
+    owner = store.createSession(`Allocation of ${input.studentsFile}`).id;
+    store.addCohort(owner, input.studentsFile, null);
+  }
+  const version = store.addAllocation(owner, { manifestFile: manifestName, outputs: files.map(f=>f[0]), studentsFile: input.studentsFile, hallsFile: input.hallsFile, invigilatorsFile: input.invigilatorsFile, seed: result.seed, allocator: result.params.allocator });
+  if (ctx.progress) ctx.progress({ stage: 'write', done: 1, total: 1, slot: null });
+
+  const violations = result.violations;
+  const violatedHalls = Array.from(new Set(violations.map(v=>v.hall_id)));
+  return { sessionId: owner, version, manifestFile: manifestName, seed: result.seed, days: keys.length, adjacency: result.params.adjacency, constraintMet: violations.length===0 && result.unseated.length===0, violatedHalls, violations, unmetAccommodations: result.unmetAccommodations, clashes: result.clashes, unseated: result.unseated, droppedLocks: result.droppedLocks, duties: duties && { shortfall: duties.shortfall, load: duties.load }, schedule: result.schedule, solver: result.solver };
+}
+
+// Optimizer dry run: the 'optimize' allocation with its solver report, nothing written to uploads/
+async function optimizeDryRun(params, ctx={}){
+  const input = withSessionInputs(params);
+  const result = await runAllocation(withSeed({ ...input, allocator:'optimize', locks: input.sessionId ? resolveLocks(input.sessionId) : null }), ctx);
+  return { seed: result.seed, solver: result.solver, violations: result.violations, unmetAccommodations: result.unmetAccommodations, clashes: result.clashes, unseated: result.unseated, days: result.allocationsByDay };
+}
+
+// uploads/ path of a file name taken from a request or a manifest: only the base name counts, so ../ cannot escape
+function uploadPath(name){
+  return path.join(UPLOAD_DIR, path.basename(String(name)));
+}
+
+function readUploadJson(name){
+  return JSON.parse(fs.readFileSync(uploadPath(name),'utf8'));
+}
+
+// Session locks as seats for the next run, taken from where things stand in the latest version:
+// a student lock keeps the student's seat, a bench lock keeps whoever sits on it (or keeps it empty)
+function resolveLocks(sessionId){
+  const locks = store.listLocks(sessionId);
+  const latest = locks.length ? store.getAllocation(sessionId) : null;
+  if (!latest) return null;
+  const manifest = readUploadJson(latest.manifest_file);
+  const out = {};
+  for (const l of locks){
+    if (!manifest[l.day]) continue;
+    const rows = readUploadJson(manifest[l.day]);
+    const seats = l.register_number ? rows.filter(r=>r.register_number===l.register_number) : rows.filter(r=>String(r.hall_id)===l.hall_id && r.bench_number===l.bench_number && (!l.seat || r.seat===l.seat));
+    if (!out[l.day]) out[l.day] = [];
+    for (const r of seats) out[l.day].push({ hall_id: r.hall_id, bench_number: r.bench_number, seat: r.seat, register_number: r.register_number || null });
+  }
+  return out;
+}
+
+/* Manual edits of one day of an allocation version. ops, applied in order:
+     { op:'move', from: <ref>, to: { hall_id, bench_number, seat } }   to an empty seat
+     { op:'swap', a: <ref>, b: <ref> }                                  either side may be empty
+   where <ref> is a register number (string or { register_number }) or a seat { hall_id, bench_number, seat }.
+   Returns the edited rows and the ops with every ref resolved to a seat (what the audit record keeps). */
+const STUDENT_FIELDS = ['register_number', 'student_name', 'subject_code', 'accommodations'];
+
+function applyEdits(rows, ops){
+  if (!Array.isArray(ops) || !ops.length) throw httpError(400, 'ops required');
+  const out = rows.map(r=>({ ...r }));
+  const bySeat = new Map(out.map(r=>[seatKey(r), r]));
+  const seatOf = (ref, label) => {
+    if (typeof ref === 'string' || (ref && ref.register_number && !ref.hall_id)){
+      const reg = normalizeRegister(typeof ref === 'string' ? ref : ref.register_number);
+      const r = out.find(x=>x.register_number===reg);
+      if (!r) throw httpError(400, `${label}: ${reg} has no seat on this day`);
+      return r;
+    }
+    const r = ref && bySeat.get(seatKey({ hall_id: String(ref.hall_id), bench_number: parseInt(ref.bench_number, 10), seat: parseInt(ref.seat, 10) || 1 }));
+    if (!r) throw httpError(400, `${label}: no such seat ${ref ? `${ref.hall_id} bench ${ref.bench_number} seat ${ref.seat || 1}` : ''}`);
+    return r;
+  };
+  const exchange = (a, b) => {
+    for (const f of STUDENT_FIELDS) [a[f], b[f]] = [b[f], a[f]];
+  };
+  const at = r => ({ hall_id: r.hall_id, bench_number: r.bench_number, seat: r.seat });
+  const resolved = ops.map((o, i)=>{
+    const label = `ops[${i}]`;
+    if (o && o.op === 'move'){
+      const from = seatOf(o.from, `${label}.from`), to = seatOf(o.to && !o.to.register_number ? o.to : null, `${label}.to`);
+      if (!from.register_number) throw httpError(400, `${label}: nobody sits on ${from.hall_id} bench ${from.bench_number} seat ${from.seat}`);
+      if (to.register_number && to !== from) throw httpError(409, `${label}: ${to.hall_id} bench ${to.bench_number} seat ${to.seat} is taken by ${to.register_number}; use swap`);
+      exchange(from, to);
+      return { op: 'move', from: at(from), to: at(to) };
+    }
+    if (o && o.op === 'swap'){
+      const a = seatOf(o.a, `${label}.a`), b = seatOf(o.b, `${label}.b`);
+      exchange(a, b);
+      return { op: 'swap', a: at(a), b: at(b) };
+    }
+    throw httpError(400, `${label}: op must be move or swap`);
+  });
+  return { rows: out, ops: resolved };
+}
+
+// who sits where before and after: one entry per student whose seat changed
+function diffRows(before, after){
+  const seatOf = rows => new Map(rows.filter(r=>r.register_number).map(r=>[r.register_number, r]));
+  const a = seatOf(before), b = seatOf(after);
+  const at = r => r ? { hall_id: r.hall_id, bench_number: r.bench_number, seat: r.seat } : null;
+  const diff = [];
+  for (const reg of Array.from(new Set([...a.keys(), ...b.keys()])).sort()){
+    const x = a.get(reg), y = b.get(reg);
+    if (x && y && seatKey(x) === seatKey(y)) continue;
+    const s = y || x;
+    diff.push({ register_number: reg, student_name: s.student_name, subject_code: s.subject_code, from: at(x), to: at(y) });
+  }
+  return diff;
+}
+
+// Seats an edit put students on that the allocator would not use (seat_use rules / odd spacing), or separate-room
+// halls for students without that need
+function capacityProblems(rows, diff, hallDefs, allocator){
+  const usable = new Set();
+  for (const h of hallDefs) for (const p of seatPositions(h, allocator)) usable.add(seatKey(p));
+  const separate = new Set(hallDefs.filter(h=>hallTags(h).has('separate_room')).map(h=>h.hall_id));
+  const byReg = new Map(rows.filter(r=>r.register_number).map(r=>[r.register_number, r]));
+  const out = [];
+  for (const d of diff.filter(d=>d.to)){
+    const r = byReg.get(d.register_number);
+    if (!usable.has(seatKey(d.to))) out.push({ register_number: d.register_number, ...d.to, problem: `seat not used by the '${allocator || 'odd'}' allocator` });
+    if (separate.has(d.to.hall_id) && !normalizeTags(r.accommodations).some(t=>(ACCOMMODATION_RULES[t] || {}).hall === 'separate_room')) out.push({ register_number: d.register_number, ...d.to, problem: 'separate-room hall is kept for students who need it' });
+  }
+  return out;
+}
+
+// Apply edits to a day of a version, re-check it, and write the result as the session's next version. Edits that
+// add adjacency violations or capacity problems are refused unless force is set.
+async function editAllocation(sessionId, { version, day, ops, force }){
+  const base = store.getAllocation(sessionId, parseInt(version, 10) || null);
+  if (!base) throw httpError(404, hasValue(version) ? `session ${sessionId} has no version ${version}` : `session ${sessionId} has no allocation`);
+  const manifest = readUploadJson(base.manifest_file);
+  const audit = manifest.audit;
+  if (!audit) throw httpError(400, 'allocation has no audit record (allocated before seeding was supported) and cannot be edited');
+  const days = Object.keys(audit.outputs);
+  if (!day && days.length === 1) day = days[0];
+  if (!days.includes(day)) throw httpError(400, `day must be one of ${days.join(', ')}`);
+  const hallDefs = loadHallDefs(audit.inputs.halls ? audit.inputs.halls.file : null, audit.params.numHalls, audit.params.benchesPerHall);
+
+  const before = readUploadJson(manifest[day]);
+  const { rows, ops: resolved } = applyEdits(before, ops);
+  const diff = diffRows(before, rows);
+  if (!diff.length) throw httpError(400, 'the edits change nothing');
+  const adjacency = audit.params.adjacency;
+  // a violation is new when that seat did not already clash for that subject (swapping like for like is fine)
+  const clashKey = v => `${seatKey(v)}#${v.subject_code}`;
+  const had = new Set(findAdjacencyViolations(before, adjacency, hallDefs).map(clashKey));
+  const violations = findAdjacencyViolations(rows, adjacency, hallDefs);
+  const newViolations = violations.filter(v=>!had.has(clashKey(v)));
+  const capacity = capacityProblems(rows, diff, hallDefs, audit.params.allocator);
+  if ((newViolations.length || capacity.length) && !force) throw Object.assign(httpError(409, 'edit breaks the seating rules; pass force: true to apply it anyway'), { details: { diff, newViolations, capacity } });
+
+  const ts = uniqueStamp();
+  const out = await renderAllocationOutputs(rows, hallDefs, { header: audit.params.header, slot: { key: day, ...(manifest.schedule || {})[day] }, date: new Date(ts) });
+  // the duty chart covers every day, so it is re-staffed from the edited day plus the others as they are
+  let duties = null, dutyOut = null;
+  if (audit.duties){
+    const byDay = Object.fromEntries(days.map(k=>[k, k === day ? rows : readUploadJson(manifest[k])]));
+    duties = computeDuties(byDay, manifest.schedule, readUploadJson(audit.inputs.invigilators.file), audit.params.duty, audit.seed);
+    dutyOut = await renderDutyOutputs(duties, { header: audit.params.header, schedule: manifest.schedule, date: new Date(ts) });
+  }
+  const edited = { ...manifest };
+  const hashes = {}, written = [];
+  for (const [kind, f] of Object.entries(OUTPUT_FILES)){
+    const fname = `allocation_${day}_${ts}.${f.ext}`;
+    fs.writeFileSync(path.join(UPLOAD_DIR, fname), out[kind]);
+    edited[`${day}${f.suffix}`] = fname;
+    hashes[kind] = sha256(out[kind]);
+    written.push(fname);
+  }
+  const dutyHashes = {};
+  if (dutyOut) for (const [kind, f] of Object.entries(DUTY_FILES)){
+    const fname = `duties_${ts}.${f.ext}`;
+    fs.writeFileSync(path.join(UPLOAD_DIR, fname), dutyOut[kind]);
+    edited[f.key] = fname;
+    dutyHashes[kind] = sha256(dutyOut[kind]);
+    written.push(fname);
+  }
+  const renderedAt = audit.rendered_at || Object.fromEntries(days.map(k=>[k, audit.generated_at]));
+  edited.edited = { base: base.manifest_file, base_version: base.version, day, diff, forced: !!force, violations: newViolations, capacity };
+  edited.audit = { ...audit, outputs: { ...audit.outputs, [day]: hashes }, rendered_at: { ...renderedAt, [day]: new Date(ts).toISOString() }, edits: (audit.edits || []).concat({ day, ops: resolved }) };
+  if (duties) edited.audit.duties = { rendered_at: new Date(ts).toISOString(), outputs: dutyHashes };
+  const manifestName = `manifest_${ts}.json`;
+  fs.writeFileSync(path.join(UPLOAD_DIR, manifestName), JSON.stringify(edited, null, 2), 'utf8');
+  const newVersion = store.addAllocation(sessionId, { manifestFile: manifestName, outputs: written, studentsFile: base.students_file, hallsFile: base.halls_file, invigilatorsFile: base.invigilators_file, seed: base.seed, allocator: base.allocator, baseVersion: base.version });
+  return { sessionId, version: newVersion, baseVersion: base.version, manifestFile: manifestName, day, diff, forced: !!force, newViolations, capacity, violations, duties: duties && { shortfall: duties.shortfall, load: duties.load } };
+}
+
 /* ---------------- API ---------------- */
 
 // Admin login (simple)
 app.post('/api/admin/login', (req,res)=>{
   try {
     const { username, password } = req.body;
-    if (username !== ADMIN.username) return res.status(401).json({ ok:false, error:'invalid' });
-    if (!bcrypt.compareSync(password, ADMIN.passwordHash)) return res.status(401).json({ ok:false, error:'invalid' });
-    const token = jwt.sign({ username }, JWT_SECRET, { expiresIn: '8h' });
-    return res.json({ ok:true, token });
+    if (!username || typeof password !== 'string') return res.status(401).json({ ok:false, error:'invalid' });
+    let claims = null;
+    if (username === ADMIN.username){
+      if (bcrypt.compareSync(password, ADMIN.passwordHash)) claims = { username, role:'admin' };
+    } else {
+      const u = loadUsers().find(x=>x.username===username);
+      if (u && bcrypt.compareSync(password, u.passwordHash)) claims = { username, role:'invigilator', halls: u.halls || [] };
+    }
+    if (!claims) return res.status(401).json({ ok:false, error:'invalid' });
+    const token = jwt.sign(claims, JWT_SECRET, { expiresIn: '8h' });
+    return res.json({ ok:true, token, role: claims.role });
   } catch (e){ return res.status(500).json({ ok:false, error: e.message }); }
 });
 
+// Invigilator accounts (admin only)
+app.get('/api/admin/users', requireAdmin, (req,res)=>{
+  try {
+    return res.json({ ok:true, users: loadUsers().map(u=>({ username: u.username, role:'invigilator', halls: u.halls || [] })) });
+  } catch (err) { console.error(err); return res.status(500).json({ ok:false, error: err.message }); }
+});
+
+app.post('/api/admin/users', requireAdmin, (req,res)=>{
+  try {
+    const { username, password, halls } = req.body;
+    if (!username || !password) return res.status(400).json({ ok:false, error:'username and password required' });
+    if (username === ADMIN.username) return res.status(400).json({ ok:false, error:'username is reserved' });
+    if (halls !== undefined && !Array.isArray(halls)) return res.status(400).json({ ok:false, error:'halls must be array' });
+    const users = loadUsers().filter(u=>u.username!==username);
+    users.push({ username, passwordHash: bcrypt.hashSync(password, 8), halls: (halls||[]).map(String) });
+    saveUsers(users);
+    return res.json({ ok:true, username, halls: (halls||[]).map(String) });
+  } catch (err) { console.error(err); return res.status(500).json({ ok:false, error: err.message }); }
+});
+
+app.delete('/api/admin/users/:username', requireAdmin, (req,res)=>{
+  try {
+    const users = loadUsers();
+    const rest = users.filter(u=>u.username!==req.params.username);
+    if (rest.length === users.length) return res.status(404).json({ ok:false, error:'user not found' });
+    saveUsers(rest);
+    return res.json({ ok:true });
+  } catch (err) { console.error(err); return res.status(500).json({ ok:false, error: err.message }); }
+});
+
+// Column mapping profiles (admin only)
+app.get('/api/profiles', requireAdmin, (req,res)=>{
+  try {
+    const kind = req.query.kind;
+    return res.json({ ok:true, profiles: loadProfiles().filter(p=>!kind || p.kind===kind) });
+  } catch (err) { console.error(err); return res.status(500).json({ ok:false, error: err.message }); }
+});
+
+app.post('/api/profiles', requireAdmin, (req,res)=>{
+  try {
+    const { name, kind, sheet, headerRow, columns, combinedRegex } = req.body;
+    const profile = { name, kind, sheet: sheet === undefined ? null : sheet, headerRow: headerRow || 0, columns, combinedRegex: combinedRegex || null };
+    const error = validateProfile(profile);
+    if (error) return res.status(400).json({ ok:false, error });
+    const profiles = loadProfiles().filter(p=>p.name!==name);
+    profiles.push(profile);
+    saveProfiles(profiles);
+    return res.json({ ok:true, profile });
+  } catch (err) { console.error(err); return res.status(500).json({ ok:false, error: err.message }); }
+});
+
+app.delete('/api/profiles/:name', requireAdmin, (req,res)=>{
+  try {
+    const profiles = loadProfiles();
+    const rest = profiles.filter(p=>p.name!==req.params.name);
+    if (rest.length === profiles.length) return res.status(404).json({ ok:false, error:'profile not found' });
+    saveProfiles(rest);
+    return res.json({ ok:true });
+  } catch (err) { console.error(err); return res.status(500).json({ ok:false, error: err.message }); }
+});
+
 // Upload students
-app.post('/api/upload/students', upload.array('students'), (req,res)=>{
+app.post('/api/upload/students', requireAdmin, upload.array('students'), (req,res)=>{
   try {
     const files = req.files || [];
     if (!files.length) return res.status(400).json({ ok:false, error:'no files' });
+    checkUploadSession(req);
+    const strict = ['1','true','yes'].includes(String(req.body.strict || '').toLowerCase());
+    let registerPattern;
+    try { registerPattern = req.body.registerPattern ? new RegExp(req.body.registerPattern) : undefined; }
+    catch (e) { discardUploads(req); return res.status(400).json({ ok:false, error:`invalid registerPattern: ${e.message}` }); }
+    const synthetic = { next: 1 }, names = new Map(), seen = new Map();
     let students = [];
-    for (const f of files) students = students.concat(readStudentsFromFile(f.path));
+    const report = [];
+    for (const f of files){
+      const parsed = readStudentsFromFile(f.path, { source: f.originalname, registerPattern, synthetic, names, seen, profile: req.body.profile });
+      students = students.concat(parsed.students);
+      report.push(parsed.report);
+    }
+    const summary = {};
+    for (const r of report) for (const i of r.issues) summary[i.type] = (summary[i.type]||0) + 1;
+    if (strict && Object.keys(summary).length){ discardUploads(req); return res.status(422).json({ ok:false, error:'validation failed (strict mode): upload rejected, nothing saved', summary, report }); }
     const name = saveJson(students, 'students');
-    return res.json({ ok:true, file: name, count: students.length });
-  } catch (err) { console.error(err); return res.status(500).json({ ok:false, error: err.message }); }
+    const sessionId = targetSession(req.body, path.parse(files[0].originalname).name);
+    store.addCohort(sessionId, name, students.length, files.map(f=>f.filename));
+    return res.json({ ok:true, sessionId, file: name, count: students.length, strict, summary, report });
+  } catch (err) {
+    discardUploads(req);
+    if (err.status) return res.status(err.status).json({ ok:false, error: err.message });
+    console.error(err);
+    return res.status(500).json({ ok:false, error: err.message });
+  }
 });
 
 // Upload halls
-app.post('/api/upload/halls', upload.single('hallList'), (req,res)=>{
+app.post('/api/upload/halls', requireAdmin, upload.single('hallList'), (req,res)=>{
   try {
     const file = req.file;
     const defaultBenches = parseInt(req.body.defaultBenches || '30', 10) || 30;
     if (!file) return res.status(400).json({ ok:false, error:'no file' });
-    const halls = readHallListFromFile(file.path, defaultBenches);
+    checkUploadSession(req);
+    const { halls, profile } = readHallListFromFile(file.path, defaultBenches, req.body.profile);
     const name = saveJson(halls, 'halls');
-    return res.json({ ok:true, file: name, count: halls.length });
-  } catch (err) { console.error(err); return res.status(500).json({ ok:false, error: err.message }); }
+    const sessionId = targetSession(req.body, path.parse(file.originalname).name);
+    store.addHallInventory(sessionId, name, halls.length, [file.filename]);
+    return res.json({ ok:true, sessionId, file: name, count: halls.length, profile });
+  } catch (err) {
+    discardUploads(req);
+    if (err.status) return res.status(err.status).json({ ok:false, error: err.message });
+    console.error(err);
+    return res.status(500).json({ ok:false, error: err.message });
+  }
 })
 
+// Upload invigilator roster (duties are assigned with the next allocation of the session)
+app.post('/api/upload/invigilators', requireAdmin, upload.single('invigilators'), (req,res)=>{
+  try {
+    const file = req.file;
+    if (!file) return res.status(400).json({ ok:false, error:'no file' });
+    checkUploadSession(req);
+    const { invigilators, warnings, profile } = readInvigilatorsFromFile(file.path, req.body.profile);
+    if (!invigilators.length){ discardUploads(req); return res.status(422).json({ ok:false, error:'no invigilators found in the file', warnings, profile }); }
+    const name = saveJson(invigilators, 'invigilators');
+    const sessionId = targetSession(req.body, path.parse(file.originalname).name);
+    store.addInvigilatorRoster(sessionId, name, invigilators.length, [file.filename]);
+    return res.json({ ok:true, sessionId, file: name, count: invigilators.length, warnings, profile });
+  } catch (err) {
+    discardUploads(req);
+    if (err.status) return res.status(err.status).json({ ok:false, error: err.message });
+    console.error(err);
+    return res.status(500).json({ ok:false, error: err.message });
+  }
+});
+
 // Update students
-app.post('/api/update-students', (req,res)=>{
+app.post('/api/update-students', requireAdmin, (req,res)=>{
   try {
     const students = req.body.students;
     if (!Array.isArray(students)) return res.status(400).json({ ok:false, error:'students must be array' });
-    for (const s of students) s.register_number = normalizeRegister(s.register_number || s.register_number);
+    if (hasValue(req.body.sessionId)) activeSession(req.body.sessionId);
+    for (const s of students){
+      s.register_number = normalizeRegister(s.register_number || s.register_number);
+      if (s.accommodations !== undefined){
+        const tags = normalizeTags(s.accommodations);
+        if (tags.length) s.accommodations = tags; else delete s.accommodations;
+      }
+      if (s.dob !== undefined){
+        const dob = normalizeDob(s.dob);
+        if (dob === null) return res.status(400).json({ ok:false, error:`invalid dob for ${s.register_number}: ${s.dob}` });
+        if (dob) s.dob = dob; else delete s.dob;
+      }
+    }
     students.sort((a,b)=> (a.register_number < b.register_number ? -1 : 1));
     const name = saveJson(students, 'students');
-    return res.json({ ok:true, file: name, count: students.length });
-  } catch (err) { console.error(err); return res.status(500).json({ ok:false, error: err.message }); }
+    const sessionId = targetSession(req.body, 'Edited students');
+    store.addCohort(sessionId, name, students.length);
+    return res.json({ ok:true, sessionId, file: name, count: students.length });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ ok:false, error: err.message });
+    console.error(err);
+    return res.status(500).json({ ok:false, error: err.message });
+  }
 });
 
 // Allocation (multi-day support)
-app.post('/api/allocate', (req,res)=>{
-  try {
-    const { studentsFile, hallsFile, numHalls, benchesPerHall, allocator, days } = req.body;
-    if (!studentsFile) return res.status(400).json({ ok:false, error:'studentsFile required' });
-    const studentsPath = path.join(UPLOAD_DIR, studentsFile);
-    if (!fs.existsSync(studentsPath)) return res.status(400).json({ ok:false, error:'studentsFile not found' });
-    let students = JSON.parse(fs.readFileSync(studentsPath,'utf8'));
-
-    const hallDefs = [];
-    if (hallsFile) {
-      const hallsPath = path.join(UPLOAD_DIR, hallsFile);
-      if (!fs.existsSync(hallsPath)) return res.status(400).json({ ok:false, error:'hallsFile not found' });
-      const rawHalls = JSON.parse(fs.readFileSync(hallsPath,'utf8'));
-      for (const h of rawHalls) {
-        const benches = h.benches || 30;
-        let rows = h.rows || null, cols = h.cols || null;
-        if (!rows && !cols) { cols = 10; rows = Math.ceil(benches / cols); }
-        else if (rows && !cols) cols = Math.ceil(benches / rows);
-        else if (cols && !rows) rows = Math.ceil(benches / cols);
-        if (rows * cols < benches) cols = Math.ceil(benches / rows);
-        hallDefs.push({ hall_id: h.hall_id, benches, rows, cols });
-      }
-    } else {
-      const n = parseInt(numHalls || 0, 10);
-      const b = parseInt(benchesPerHall || 30, 10);
-      for (let i=1;i<=n;i++){ const cols=10; const rows=Math.ceil(b/cols); hallDefs.push({ hall_id:`Hall_${i}`, benches: b, rows, cols }); }
-    }
-
-    const allocationsByDay = {};
-    if (Array.isArray(days) && days.length>0){
-      for (const d of days){
-        let pool = students;
-        if (Array.isArray(d.subjects) && d.subjects.length>0){
-          const set = new Set(d.subjects.map(s=>s.toString().toUpperCase()));
-          pool = students.filter(s => set.has((s.subject_code||'').toString().toUpperCase()));
-        }
-        shuffleArray(pool);
-        let assignments = [];
-        if (!allocator || allocator==='odd'){
-          const oddDefs = hallDefs.map(h => ({ hall_id: h.hall_id, benches: Math.ceil(h.benches/2), rows: h.rows, cols: Math.ceil(h.cols/2) }));
-          const a = distributeBalanced(pool, oddDefs);
-          for (const x of a) assignments.push({ hall_id: x.hall_id, bench_number: (x.bench_index_in_hall-1)*2 + 1, student: x.student });
-        } else {
-          const a = distributeBalanced(pool, hallDefs);
-          for (const x of a) assignments.push({ hall_id: x.hall_id, bench_number: x.bench_index_in_hall, student: x.student });
-        }
-        const finalRows = buildOutputsFromAssignments(assignments, hallDefs);
-        allocationsByDay[d.day || `day_${Math.random().toString(36).slice(2,6)}`] = finalRows;
-      }
-    } else {
-      shuffleArray(students);
-      let assignments = [];
-      if (!allocator || allocator==='odd'){
-        const oddDefs = hallDefs.map(h => ({ hall_id: h.hall_id, benches: Math.ceil(h.benches/2), rows: h.rows, cols: Math.ceil(h.cols/2) }));
-        const a = distributeBalanced(students, oddDefs);
-        for (const x of a) assignments.push({ hall_id: x.hall_id, bench_number: (x.bench_index_in_hall-1)*2 + 1, student: x.student });
-      } else {
-        const a = distributeBalanced(students, hallDefs);
-        for (const x of a) assignments.push({ hall_id: x.hall_id, bench_number: x.bench_index_in_hall, student: x.student });
-      }
-      const finalRows = buildOutputsFromAssignments(assignments, hallDefs);
-      allocationsByDay['single'] = finalRows;
-    }
-
-    const manifest = {};
-    for (const [k, rows] of Object.entries(allocationsByDay)){
-      const fname = `allocation_${k}_${Date.now()}.json`;
-      fs.writeFileSync(path.join(UPLOAD_DIR, fname), JSON.stringify(rows, null, 2), 'utf8');
-      manifest[k] = fname;
-      const wb = XLSX.utils.book_new();
-      const wsAll = XLSX.utils.json_to_sheet(rows);
-      XLSX.utils.book_append_sheet(wb, wsAll, 'bench_allocations');
-      for (const h of hallDefs){
-        const rowsForHall = rows.filter(r=>r.hall_id===h.hall_id).sort((a,b)=>a.bench_number - b.bench_number);
-        const roster = XLSX.utils.json_to_sheet(rowsForHall.map(r=>({ bench_number: r.bench_number, row: r.row, col: r.col, register_number: r.register_number, student_name: r.student_name, subject_code: r.subject_code })));
-        XLSX.utils.book_append_sheet(wb, roster, `${String(h.hall_id).substring(0,25)}_roster`.substring(0,31));
-        const aoa = buildVizAOA(rowsForHall, h);
-        const viz = XLSX.utils.aoa_to_sheet(aoa);
-        XLSX.utils.book_append_sheet(wb, viz, `${String(h.hall_id).substring(0,25)}_viz`.substring(0,31));
-      }
-      const outFile = path.join(UPLOAD_DIR, `allocation_${k}_${Date.now()}.xlsx`);
-      XLSX.writeFile(wb, outFile);
-      manifest[`${k}_xlsx`] = path.basename(outFile);
-    }
+app.post('/api/allocate', requireAdmin, async (req,res)=>{
+  try {
+    return res.json({ ok:true, ...await allocateAndWrite(req.body) });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ ok:false, error: err.message });
+    console.error(err);
+    return res.status(500).json({ ok:false, error: err.message });
+  }
+});
 
-    const manifestName = `manifest_${Date.now()}.json`;
-    fs.writeFileSync(path.join(UPLOAD_DIR, manifestName), JSON.stringify(manifest, null, 2), 'utf8');
+// Re-run a manifest from its audit record and confirm the outputs (and duty chart) are byte-identical
+app.post('/api/allocate/replay', requireAdmin, async (req,res)=>{
+  try {
+    const { manifestFile } = req.body;
+    if (!manifestFile) return res.status(400).json({ ok:false, error:'manifestFile required' });
+    const manifestPath = uploadPath(manifestFile);
+    if (!fs.existsSync(manifestPath)) return res.status(400).json({ ok:false, error:'manifestFile not found' });
+    const manifest = JSON.parse(fs.readFileSync(manifestPath,'utf8'));
+    const audit = manifest.audit;
+    if (!audit) return res.status(400).json({ ok:false, error:'manifest has no audit record (allocated before seeding was supported)' });
 
-    return res.json({ ok:true, manifestFile: manifestName, days: Object.keys(manifest).length/2 });
+    const inputs = [];
+    for (const [role, i] of Object.entries(audit.inputs)){
+      if (!i) continue;
+      const p = uploadPath(i.file);
+      const actual = fs.existsSync(p) ? sha256(fs.readFileSync(p)) : null;
+      inputs.push({ role, file: i.file, expected: i.sha256, actual, match: actual===i.sha256 });
+    }
+    const missing = inputs.filter(i=>!i.actual);
+    if (missing.length) return res.status(400).json({ ok:false, error:`input file missing: ${missing.map(i=>i.file).join(', ')}`, inputs });
+
+    const result = await runAllocation({ ...audit.params, studentsFile: audit.inputs.students.file, hallsFile: audit.inputs.halls ? audit.inputs.halls.file : null, invigilatorsFile: audit.inputs.invigilators ? audit.inputs.invigilators.file : null, seed: audit.seed });
+    // edited versions: the seeded run plus their manual edits, in order
+    for (const e of audit.edits || []) result.allocationsByDay[e.day] = applyEdits(result.allocationsByDay[e.day] || [], e.ops).rows;
+    const days = {};
+    for (const [k, rows] of Object.entries(result.allocationsByDay)){
+      const out = await renderAllocationOutputs(rows, result.hallDefs, { header: result.params.header, slot: { key: k, ...result.schedule[k] }, date: new Date((audit.rendered_at || {})[k] || audit.generated_at) });
+      const expected = audit.outputs[k] || {};
+      const actual = {};
+      for (const kind of Object.keys(OUTPUT_FILES)) actual[kind] = sha256(out[kind]);
+      const stored = manifest[k] && fs.existsSync(uploadPath(manifest[k])) ? sha256(fs.readFileSync(uploadPath(manifest[k]))) : null;
+      const kinds = Object.keys(expected);
+      days[k] = { expected, actual, storedJson: stored, match: kinds.length>0 && kinds.every(kind=>actual[kind]===expected[kind]) && stored===expected.json };
+    }
+    for (const k of Object.keys(audit.outputs)) if (!days[k]) days[k] = { expected: audit.outputs[k], actual: null, storedJson: null, match: false };
+    let duties = null;
+    if (audit.duties){
+      const out = await renderDutyOutputs(computeDuties(result.allocationsByDay, result.schedule, result.invigilators || [], result.params.duty, result.seed), { header: result.params.header, schedule: result.schedule, date: new Date(audit.duties.rendered_at) });
+      const actual = Object.fromEntries(Object.keys(DUTY_FILES).map(kind=>[kind, sha256(out[kind])]));
+      duties = { expected: audit.duties.outputs, actual, match: Object.keys(DUTY_FILES).every(kind=>actual[kind]===audit.duties.outputs[kind]) };
+    }
+    const unseated = audit.unseated ? { expected: audit.unseated, actual: result.unseatedBySlot, match: JSON.stringify(audit.unseated)===JSON.stringify(result.unseatedBySlot) } : null;
+    const identical = inputs.every(i=>i.match) && Object.values(days).every(d=>d.match) && (!duties || duties.match) && (!unseated || unseated.match);
+    return res.json({ ok:true, identical, seed: audit.seed, inputs, days, duties, unseated });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ ok:false, error: err.message });
     console.error(err);
     return res.status(500).json({ ok:false, error: err.message });
   }
 });
 
-// Blueprint detection stub
-app.post('/api/blueprint/analyze', upload.single('blueprint'), (req,res)=>{
+// Blueprint detection: floor plan (PNG/JPEG/SVG/DXF) -> layout mask ready for a hall definition
+app.post('/api/blueprint/analyze', requireAdmin, upload.single('blueprint'), (req,res)=>{
   try {
     if (!req.file) return res.status(400).json({ ok:false, error:'no file' });
-    const stats = fs.statSync(req.file.path);
-    const area = Math.max(1, stats.size % 1000);
-    const rows = Math.max(3, Math.min(50, Math.round((area % 30) + 5)));
-    const cols = Math.max(3, Math.min(20, Math.round((area % 10) + 5)));
-    return res.json({ ok:true, rows, cols, note: 'Heuristic stub. Use OpenCV for production.' });
+    const front = req.body.front === 'bottom' ? 'bottom' : 'top';
+    const result = analyzeBlueprint(fs.readFileSync(req.file.path), { front });
+    const hall_id = String(req.body.hall_id || path.parse(req.file.originalname).name);
+    const hall = result.benches ? { hall_id, benches: result.benches, rows: result.rows, cols: result.cols, layout: result.layout } : null;
+    return res.json({ ok:true, ...result, hall });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ ok:false, error: err.message });
+    console.error(err);
+    return res.status(500).json({ ok:false, error: err.message });
+  } finally {
+    // the plan is only read here; what is kept is the layout saved with /api/blueprint/save
+    discardUploads(req);
+  }
+});
+
+// Save a (possibly hand-corrected) detected hall into a halls file: replaces the hall with the same id, else appends
+app.post('/api/blueprint/save', requireAdmin, (req,res)=>{
+  try {
+    const { hallsFile, hall } = req.body;
+    if (!hall || !hall.hall_id) return res.status(400).json({ ok:false, error:'hall with hall_id required' });
+    // goes to the given session, else the one owning hallsFile
+    const owner = hasValue(req.body.sessionId) ? req.body.sessionId : hallsFile && store.sessionOfFile(hallsFile);
+    if (hasValue(owner)) activeSession(owner);
+    const layout = normalizeLayout(hall.layout);
+    if (!layout) return res.status(400).json({ ok:false, error:'hall.layout required' });
+    const benches = benchCells({ layout }).length;
+    if (!benches) return res.status(400).json({ ok:false, error:'layout has no benches' });
+    let halls = [];
+    if (hallsFile){
+      const p = uploadPath(hallsFile);
+      if (!fs.existsSync(p)) return res.status(400).json({ ok:false, error:'hallsFile not found' });
+      halls = JSON.parse(fs.readFileSync(p,'utf8'));
+    }
+    const tags = normalizeTags(hall.tags);
+    const saved = { hall_id: String(hall.hall_id), benches, rows: layout.length, cols: layout[0].length, layout };
+    if (tags.length) saved.tags = tags;
+    if (hall.bench_tags) saved.bench_tags = hall.bench_tags;
+    if (parseInt(hall.seats_per_bench, 10) > 0) saved.seats_per_bench = parseInt(hall.seats_per_bench, 10);
+    const seatUse = normalizeSeatUse(hall.seat_use);
+    if (seatUse) saved.seat_use = seatUse;
+    halls = halls.filter(h=>h.hall_id !== saved.hall_id).concat(saved).sort((a,b)=> (a.hall_id < b.hall_id ? -1 : 1));
+    const name = saveJson(halls, 'halls');
+    const sessionId = targetSession({ ...req.body, sessionId: owner }, `Hall ${saved.hall_id}`);
+    store.addHallInventory(sessionId, name, halls.length);
+    return res.json({ ok:true, sessionId, file: name, count: halls.length, hall: saved });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ ok:false, error: err.message });
+    console.error(err);
+    return res.status(500).json({ ok:false, error: err.message });
+  }
+});
+
+// Optimizer dry run (see optimizeDryRun); long runs are better submitted as a job
+app.post('/api/optimize', requireAdmin, async (req,res)=>{
+  try {
+    return res.json({ ok:true, ...await optimizeDryRun(req.body) });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ ok:false, error: err.message });
+    console.error(err);
+    return res.status(500).json({ ok:false, error: err.message });
+  }
+});
+
+/* Jobs: the same work as /api/allocate and /api/optimize, run in the background (jobs.js).
+   JOB_CONCURRENCY (default 1) jobs run at once, the rest wait their turn. */
+const JOB_TYPES = { allocate: allocateAndWrite, optimize: optimizeDryRun };
+const jobs = createJobQueue({ concurrency: process.env.JOB_CONCURRENCY || 1, history: process.env.JOB_HISTORY || 100 });
+
+function findJob(id){
+  const job = jobs.get(id);
+  if (!job) throw httpError(404, 'job not found');
+  return job;
+}
+
+app.post('/api/jobs', requireAdmin, (req,res)=>{
+  try {
+    const { type, ...params } = req.body;
+    if (!JOB_TYPES[type]) return res.status(400).json({ ok:false, error:`type must be ${Object.keys(JOB_TYPES).join(' or ')}` });
+    const job = jobs.submit(type, req.user.username, ctx=>JOB_TYPES[type](params, ctx));
+    return res.status(202).json({ ok:true, job });
   } catch (err) { console.error(err); return res.status(500).json({ ok:false, error: err.message }); }
 });
 
-// Optimizer bridge
-app.post('/api/optimize', (req,res)=>{
+// newest first, without results (an optimize result holds every row)
+app.get('/api/jobs', requireAdmin, (req,res)=>{
+  return res.json({ ok:true, jobs: jobs.list().map(({ result, ...j })=>j) });
+});
+
+app.get('/api/jobs/:id', requireAdmin, (req,res)=>{
   try {
-    const { studentsFile, hallsFile } = req.body;
-    if (!studentsFile || !hallsFile) return res.status(400).json({ ok:false, error:'studentsFile and hallsFile required' });
-    const py = path.join(__dirname, '..', 'optimizer', 'optimize.py');
-    if (!fs.existsSync(py)) return res.status(400).json({ ok:false, error:'optimizer not installed. See README.' });
-    const p = spawnSync('python3', [py, path.join(UPLOAD_DIR, studentsFile), path.join(UPLOAD_DIR, hallsFile)], { encoding:'utf8', maxBuffer: 10*1024*1024 });
-    if (p.error) return res.status(500).json({ ok:false, error: p.error.message });
-    if (p.status !== 0) return res.status(500).json({ ok:false, error: p.stderr || 'python error' });
-    const out = p.stdout || '';
-    return res.json({ ok:true, output: out });
+    return res.json({ ok:true, job: findJob(req.params.id) });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ ok:false, error: err.message });
+    console.error(err);
+    return res.status(500).json({ ok:false, error: err.message });
+  }
+});
+
+// Server-sent events: the job's state now and on every change, closed once it finishes.
+// EventSource cannot send headers, so pass the token as ?token=.
+app.get('/api/jobs/:id/events', requireAuthQuery('admin'), (req,res)=>{
+  let job;
+  try { job = findJob(req.params.id); }
+  catch (err) { return res.status(err.status).json({ ok:false, error: err.message }); }
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  res.flushHeaders();
+  const send = j => res.write(`event: ${FINISHED.has(j.status) ? 'done' : 'progress'}\ndata: ${JSON.stringify(j)}\n\n`);
+  send(job);
+  if (FINISHED.has(job.status)) return res.end();
+  const ping = setInterval(()=>res.write(': ping\n\n'), 15000);
+  const unsubscribe = jobs.subscribe(job.id, j=>{
+    send(j);
+    if (FINISHED.has(j.status)){ clearInterval(ping); res.end(); }
+  });
+  req.on('close', ()=>{ clearInterval(ping); unsubscribe(); });
+});
+
+app.post('/api/jobs/:id/cancel', requireAdmin, (req,res)=>{
+  try {
+    findJob(req.params.id);
+    return res.json({ ok:true, job: jobs.cancel(req.params.id) });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ ok:false, error: err.message });
+    console.error(err);
+    return res.status(500).json({ ok:false, error: err.message });
+  }
+});
+
+// The manifest an allocate job wrote
+app.get('/api/jobs/:id/manifest', requireAdmin, (req,res)=>{
+  try {
+    const job = findJob(req.params.id);
+    if (job.status !== 'succeeded') return res.status(409).json({ ok:false, error:`job is ${job.status}`, job });
+    if (!job.result.manifestFile) return res.status(409).json({ ok:false, error:`${job.type} jobs write no manifest; see the job result` });
+    const manifest = readUploadJson(job.result.manifestFile);
+    return res.json({ ok:true, manifestFile: job.result.manifestFile, manifest });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ ok:false, error: err.message });
+    console.error(err);
+    return res.status(500).json({ ok:false, error: err.message });
+  }
+});
+
+// ?manifestFile=, or ?sessionId= with an optional &version= (latest by default)
+function manifestFileOf(query){
+  if (hasValue(query.sessionId)){
+    const session = findSession(query.sessionId);
+    const allocation = store.getAllocation(session.id, parseInt(query.version, 10) || null);
+    if (!allocation) throw httpError(404, hasValue(query.version) ? `session ${session.id} has no version ${query.version}` : `session ${session.id} has no allocation`);
+    return allocation.manifest_file;
+  }
+  const manifestFile = path.basename(String(query.manifestFile || ''));
+  if (!/^manifest_.*\.json$/.test(manifestFile)) throw httpError(400, 'manifestFile or sessionId required');
+  return manifestFile;
+}
+
+/* Exam sessions: list (?status=active|archived), create, detail with cohorts / hall inventories / allocation
+   versions, rename or archive (PATCH { name, status }), delete (records and files), and re-import uploads/ */
+app.get('/api/sessions', requireAdmin, (req,res)=>{
+  return res.json({ ok:true, sessions: store.listSessions(req.query.status) });
+});
+
+app.post('/api/sessions', requireAdmin, (req,res)=>{
+  const name = String(req.body.name || '').trim();
+  if (!name) return res.status(400).json({ ok:false, error:'name required' });
+  return res.json({ ok:true, session: store.createSession(name) });
+});
+
+app.post('/api/sessions/import', requireAdmin, (req,res)=>{
+  try {
+    return res.json({ ok:true, imported: store.importUploads() });
   } catch (err) { console.error(err); return res.status(500).json({ ok:false, error: err.message }); }
 });
 
-app.use('/uploads', express.static(UPLOAD_DIR));
-const PORT = process.env.PORT || 4000;
-app.listen(PORT, ()=> console.log('Backend listening on', PORT));
+app.get('/api/sessions/:id', requireAdmin, (req,res)=>{
+  try {
+    return res.json({ ok:true, session: store.sessionDetail(findSession(req.params.id).id) });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ ok:false, error: err.message });
+    console.error(err);
+    return res.status(500).json({ ok:false, error: err.message });
+  }
+});
+
+app.patch('/api/sessions/:id', requireAdmin, (req,res)=>{
+  try {
+    const session = findSession(req.params.id);
+    const { name, status } = req.body;
+    if (name !== undefined && !String(name).trim()) return res.status(400).json({ ok:false, error:'name must not be empty' });
+    if (status !== undefined && !STATUSES.includes(status)) return res.status(400).json({ ok:false, error:`status must be ${STATUSES.join(' or ')}` });
+    return res.json({ ok:true, session: store.updateSession(session.id, { name: name !== undefined ? String(name).trim() : undefined, status }) });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ ok:false, error: err.message });
+    console.error(err);
+    return res.status(500).json({ ok:false, error: err.message });
+  }
+});
+
+app.delete('/api/sessions/:id', requireAdmin, (req,res)=>{
+  try {
+    const session = findSession(req.params.id);
+    const files = store.deleteSession(session.id);
+    return res.json({ ok:true, deleted: session.id, files: files.length });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ ok:false, error: err.message });
+    console.error(err);
+    return res.status(500).json({ ok:false, error: err.message });
+  }
+});
+
+// Move / swap students in one day of a version (latest by default); the result is the session's next version
+app.post('/api/sessions/:id/edits', requireAdmin, async (req,res)=>{
+  try {
+    const session = activeSession(req.params.id);
+    return res.json({ ok:true, ...await editAllocation(session.id, req.body) });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ ok:false, error: err.message, ...err.details });
+    console.error(err);
+    return res.status(500).json({ ok:false, error: err.message });
+  }
+});
+
+/* Locks: { day, register_number } keeps a student's seat, { day, hall_id, bench_number, seat? } keeps a seat (or
+   every seat of the bench) as it is, when the session is allocated again. Checked against the latest version. */
+app.get('/api/sessions/:id/locks', requireAdmin, (req,res)=>{
+  try {
+    return res.json({ ok:true, locks: store.listLocks(findSession(req.params.id).id) });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ ok:false, error: err.message });
+    console.error(err);
+    return res.status(500).json({ ok:false, error: err.message });
+  }
+});
+
+app.post('/api/sessions/:id/locks', requireAdmin, (req,res)=>{
+  try {
+    const session = activeSession(req.params.id);
+    const latest = store.getAllocation(session.id);
+    if (!latest) return res.status(400).json({ ok:false, error:`session ${session.id} has no allocation to lock seats in` });
+    const manifest = readUploadJson(latest.manifest_file);
+    const days = manifestDayKeys(manifest);
+    const locks = (Array.isArray(req.body.locks) ? req.body.locks : [req.body]).map((l, i)=>{
+      const day = l.day || (days.length === 1 ? days[0] : null);
+      if (!days.includes(day)) throw httpError(400, `locks[${i}]: day must be one of ${days.join(', ')}`);
+      const rows = readUploadJson(manifest[day]);
+      if (l.register_number){
+        const reg = normalizeRegister(l.register_number);
+        if (!rows.some(r=>r.register_number===reg)) throw httpError(400, `locks[${i}]: ${reg} has no seat on ${day}`);
+        return { day, register_number: reg };
+      }
+      const bench = parseInt(l.bench_number, 10), seat = parseInt(l.seat, 10) || null;
+      if (!rows.some(r=>String(r.hall_id)===String(l.hall_id) && r.bench_number===bench && (!seat || r.seat===seat))) throw httpError(400, `locks[${i}]: no seat ${l.hall_id} bench ${l.bench_number}${seat ? ` seat ${seat}` : ''}`);
+      return { day, hall_id: String(l.hall_id), bench_number: bench, seat };
+    });
+    return res.json({ ok:true, locks: store.addLocks(session.id, locks) });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ ok:false, error: err.message });
+    console.error(err);
+    return res.status(500).json({ ok:false, error: err.message });
+  }
+});
+
+app.delete('/api/sessions/:id/locks/:lockId', requireAdmin, (req,res)=>{
+  try {
+    const session = activeSession(req.params.id);
+    if (!store.deleteLock(session.id, parseInt(req.params.lockId, 10))) return res.status(404).json({ ok:false, error:'lock not found' });
+    return res.json({ ok:true, locks: store.listLocks(session.id) });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ ok:false, error: err.message });
+    console.error(err);
+    return res.status(500).json({ ok:false, error: err.message });
+  }
+});
+
+// Publish a version (latest by default) for the student seat lookup; DELETE takes it down again. New versions
+// are not published until this is called again.
+app.post('/api/sessions/:id/publish', requireAdmin, (req,res)=>{
+  try {
+    const session = activeSession(req.params.id);
+    const version = req.body.version;
+    const allocation = store.getAllocation(session.id, parseInt(version, 10) || null);
+    if (!allocation) return res.status(404).json({ ok:false, error: hasValue(version) ? `session ${session.id} has no version ${version}` : `session ${session.id} has no allocation` });
+    return res.json({ ok:true, session: store.publishAllocation(session.id, allocation.version) });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ ok:false, error: err.message });
+    console.error(err);
+    return res.status(500).json({ ok:false, error: err.message });
+  }
+});
+
+app.delete('/api/sessions/:id/publish', requireAdmin, (req,res)=>{
+  try {
+    return res.json({ ok:true, session: store.publishAllocation(findSession(req.params.id).id, null) });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ ok:false, error: err.message });
+    console.error(err);
+    return res.status(500).json({ ok:false, error: err.message });
+  }
+});
+
+// Per-hall rosters from an allocation manifest; invigilators only see the halls assigned to their account, plus
+// the halls the duty chart puts them in on that day (roster rows whose username matches theirs)
+app.get('/api/roster', requireAuth('admin','invigilator'), (req,res)=>{
+  try {
+    const manifestFile = manifestFileOf(req.query);
+    const manifestPath = uploadPath(manifestFile);
+    if (!fs.existsSync(manifestPath)) return res.status(404).json({ ok:false, error:'manifestFile not found' });
+    const manifest = JSON.parse(fs.readFileSync(manifestPath,'utf8'));
+    const allowed = req.user.role === 'admin' ? null : new Set((req.user.halls || []).map(String));
+    const duties = allowed && manifest.duties ? readUploadJson(manifest.duties).duties.filter(d=>d.invigilators.some(i=>i.username===req.user.username)) : [];
+    const dayKeys = manifestDayKeys(manifest).filter(k=>!req.query.day || k===req.query.day);
+    const days = {};
+    for (const k of dayKeys){
+      const rows = readUploadJson(manifest[k]);
+      const onDuty = new Set(duties.filter(d=>d.day===k).map(d=>String(d.hall_id)));
+      days[k] = rows.filter(r=>!allowed || allowed.has(String(r.hall_id)) || onDuty.has(String(r.hall_id)));
+    }
+    return res.json({ ok:true, manifestFile, halls: allowed ? Array.from(allowed) : null, duties: allowed ? duties.filter(d=>dayKeys.includes(d.day)) : null, days });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ ok:false, error: err.message });
+    console.error(err);
+    return res.status(500).json({ ok:false, error: err.message });
+  }
+});
+
+// Every seat one register number holds across the schedule of an allocation manifest, in exam order
+function seatsOf(manifest, reg){
+  const seats = [];
+  for (const k of manifestDayKeys(manifest)){
+    const rows = readUploadJson(manifest[k]);
+    const slot = (manifest.schedule || {})[k] || {};
+    for (const r of rows.filter(r=>r.register_number===reg)) seats.push({ slot: k, date: slot.date || null, session: slot.session || null, start: slot.start || null, end: slot.end || null, hall_id: r.hall_id, bench_number: r.bench_number, seat: r.seat, row: r.row, col: r.col, subject_code: r.subject_code });
+  }
+  seats.sort((a,b)=> String(a.date||'').localeCompare(String(b.date||'')) || (SESSION_ORDER[a.session] ?? 9) - (SESSION_ORDER[b.session] ?? 9));
+  return seats;
+}
+
+app.get('/api/seats/:register', requireAdmin, (req,res)=>{
+  try {
+    const manifestFile = manifestFileOf(req.query);
+    const manifestPath = uploadPath(manifestFile);
+    if (!fs.existsSync(manifestPath)) return res.status(404).json({ ok:false, error:'manifestFile not found' });
+    const manifest = JSON.parse(fs.readFileSync(manifestPath,'utf8'));
+    const reg = normalizeRegister(req.params.register);
+    return res.json({ ok:true, register_number: reg, seats: seatsOf(manifest, reg) });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ ok:false, error: err.message });
+    console.error(err);
+    return res.status(500).json({ ok:false, error: err.message });
+  }
+});
+
+/* Student self-service lookup (no login): register number + date of birth, checked against the student list of
+   every published allocation. Only the caller's own seats come back, and a wrong register number, a wrong date
+   of birth or nothing published all get the same 404 so the route cannot be used to probe who is enrolled. */
+const lookupLimit = rateLimit({ windowMs: parseInt(process.env.LOOKUP_WINDOW_MS, 10) || 15*60*1000, max: parseInt(process.env.LOOKUP_MAX, 10) || 10 });
+
+app.post('/api/lookup', lookupLimit, (req,res)=>{
+  try {
+    const reg = normalizeRegister(req.body.register_number);
+    const dob = normalizeDob(req.body.dob);
+    if (!reg || !dob) return res.status(400).json({ ok:false, error:'register_number and dob (YYYY-MM-DD or DD/MM/YYYY) required' });
+    const exams = [];
+    let student_name = null;
+    for (const a of store.publishedAllocations()){
+      const students = a.students_file ? readUploadJson(a.students_file) : [];
+      const own = students.filter(s=>s.register_number===reg && s.dob===dob);
+      if (!own.length) continue;
+      student_name = student_name || own[0].student_name;
+      exams.push({ exam: a.session_name, seats: seatsOf(readUploadJson(a.manifest_file), reg) });
+    }
+    if (!exams.length) return res.status(404).json({ ok:false, error:'no published seating found for that register number and date of birth' });
+    return res.json({ ok:true, register_number: reg, student_name, exams });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ ok:false, error: err.message });
+    console.error(err);
+    return res.status(500).json({ ok:false, error: err.message });
+  }
+});
+
+app.use('/uploads', requireAuthQuery('admin'), express.static(UPLOAD_DIR));
+// `node server.js` serves; the tests require the app and listen on a port of their own
+if (require.main === module){
+  const PORT = process.env.PORT || 4000;
+  app.listen(PORT, ()=> console.log('Backend listening on', PORT));
+}
+module.exports = app;
@@ -0,0 +1,294 @@
+/*
+ Exam-session store (SQLite via better-sqlite3) for /api/sessions.
+ A session groups what one exam needs: student cohorts, hall inventories, invigilator rosters and numbered
+ allocation versions.
+ The JSON / XLSX / PDF artefacts themselves stay in uploads/ (the audit hashes their bytes, downloads serve them);
+ the store records which session owns which file, so deleting a session removes its files too.
+ - schema changes are numbered migrations, applied in order (PRAGMA user_version)
+ - importUploads() adopts files written before the store existed, one session per student list
+ - a session publishes at most one allocation version at a time (the public seat lookup reads only that one)
+*/
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const MIGRATIONS = [
+  `CREATE TABLE sessions (
+     id INTEGER PRIMARY KEY, name TEXT NOT NULL, status TEXT NOT NULL DEFAULT 'active',
+     created_at TEXT NOT NULL, updated_at TEXT NOT NULL);
+   CREATE TABLE cohorts (
+     id INTEGER PRIMARY KEY, session_id INTEGER NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+     file TEXT NOT NULL UNIQUE, count INTEGER, created_at TEXT NOT NULL);
+   CREATE TABLE hall_inventories (
+     id INTEGER PRIMARY KEY, session_id INTEGER NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+     file TEXT NOT NULL UNIQUE, count INTEGER, created_at TEXT NOT NULL);
+   CREATE TABLE allocations (
+     id INTEGER PRIMARY KEY, session_id INTEGER NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+     version INTEGER NOT NULL, manifest_file TEXT NOT NULL UNIQUE, students_file TEXT, halls_file TEXT,
+     seed TEXT, allocator TEXT, created_at TEXT NOT NULL, UNIQUE (session_id, version));
+   CREATE TABLE files (
+     name TEXT PRIMARY KEY, session_id INTEGER NOT NULL REFERENCES sessions(id) ON DELETE CASCADE, kind TEXT NOT NULL);
+   CREATE TABLE meta (key TEXT PRIMARY KEY, value TEXT);`,
+  // locks keep a student, or whoever sits on a seat, in place when the session is allocated again;
+  // edited versions record the version they were made from
+  `CREATE TABLE locks (
+     id INTEGER PRIMARY KEY, session_id INTEGER NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+     day TEXT NOT NULL, register_number TEXT, hall_id TEXT, bench_number INTEGER, seat INTEGER, created_at TEXT NOT NULL);
+   ALTER TABLE allocations ADD COLUMN base_version INTEGER;`,
+  `CREATE TABLE invigilator_rosters (
+     id INTEGER PRIMARY KEY, session_id INTEGER NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+     file TEXT NOT NULL UNIQUE, count INTEGER, created_at TEXT NOT NULL);
+   ALTER TABLE allocations ADD COLUMN invigilators_file TEXT;`,
+  `ALTER TABLE sessions ADD COLUMN published_version INTEGER;
+   ALTER TABLE sessions ADD COLUMN published_at TEXT;`
+];
+
+const STATUSES = ['active', 'archived'];
+
+// millisecond stamp in an upload name (students_1700000000000.json), for imported records
+function stampOf(file){
+  const m = String(file).match(/_(\d{12,})(?:_\d+)?\.[a-z.]+$/);
+  return m ? new Date(Number(m[1])).toISOString() : new Date().toISOString();
+}
+
+function openStore({ file, uploadDir }){
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  const applied = db.pragma('user_version', { simple: true });
+  MIGRATIONS.slice(applied).forEach((sql, i)=>{
+    db.transaction(()=>{ db.exec(sql); db.pragma(`user_version = ${applied + i + 1}`); })();
+  });
+
+  const now = () => new Date().toISOString();
+  const q = {
+    session: db.prepare('SELECT * FROM sessions WHERE id = ?'),
+    insertSession: db.prepare('INSERT INTO sessions (name, status, created_at, updated_at) VALUES (?, ?, ?, ?)'),
+    insertFile: db.prepare('INSERT OR IGNORE INTO files (name, session_id, kind) VALUES (?, ?, ?)'),
+    insertCohort: db.prepare('INSERT INTO cohorts (session_id, file, count, created_at) VALUES (?, ?, ?, ?)'),
+    insertHalls: db.prepare('INSERT INTO hall_inventories (session_id, file, count, created_at) VALUES (?, ?, ?, ?)'),
+    insertAllocation: db.prepare('INSERT INTO allocations (session_id, version, manifest_file, students_file, halls_file, seed, allocator, created_at, base_version, invigilators_file) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)'),
+    nextVersion: db.prepare('SELECT COALESCE(MAX(version), 0) + 1 AS v FROM allocations WHERE session_id = ?'),
+    touch: db.prepare('UPDATE sessions SET updated_at = ? WHERE id = ?'),
+    fileOwner: db.prepare('SELECT session_id FROM files WHERE name = ?'),
+    latestCohort: db.prepare('SELECT * FROM cohorts WHERE session_id = ? ORDER BY id DESC LIMIT 1'),
+    latestHalls: db.prepare('SELECT * FROM hall_inventories WHERE session_id = ? ORDER BY id DESC LIMIT 1'),
+    insertRoster: db.prepare('INSERT INTO invigilator_rosters (session_id, file, count, created_at) VALUES (?, ?, ?, ?)'),
+    latestRoster: db.prepare('SELECT * FROM invigilator_rosters WHERE session_id = ? ORDER BY id DESC LIMIT 1'),
+    allocation: db.prepare('SELECT * FROM allocations WHERE session_id = ? AND version = ?'),
+    latestAllocation: db.prepare('SELECT * FROM allocations WHERE session_id = ? ORDER BY version DESC LIMIT 1'),
+    getMeta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+    setMeta: db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value')
+  };
+
+  function createSession(name, at=now()){
+    const info = q.insertSession.run(String(name || 'Untitled session'), 'active', at, at);
+    return q.session.get(info.lastInsertRowid);
+  }
+
+  function getSession(id){
+    return q.session.get(id) || null;
+  }
+
+  function listSessions(status){
+    const where = STATUSES.includes(status) ? 'WHERE s.status = ?' : '';
+    return db.prepare(`SELECT s.*,
+        (SELECT COUNT(*) FROM cohorts c WHERE c.session_id = s.id) AS cohorts,
+        (SELECT COUNT(*) FROM hall_inventories h WHERE h.session_id = s.id) AS hall_inventories,
+        (SELECT COUNT(*) FROM invigilator_rosters r WHERE r.session_id = s.id) AS invigilator_rosters,
+        (SELECT MAX(version) FROM allocations a WHERE a.session_id = s.id) AS latest_version
+      FROM sessions s ${where} ORDER BY s.updated_at DESC, s.id DESC`).all(...(where ? [status] : []));
+  }
+
+  // session with everything it owns; allocations newest first
+  function sessionDetail(id){
+    const session = getSession(id);
+    if (!session) return null;
+    return {
+      ...session,
+      cohorts: db.prepare('SELECT * FROM cohorts WHERE session_id = ? ORDER BY id DESC').all(id),
+      hall_inventories: db.prepare('SELECT * FROM hall_inventories WHERE session_id = ? ORDER BY id DESC').all(id),
+      invigilator_rosters: db.prepare('SELECT * FROM invigilator_rosters WHERE session_id = ? ORDER BY id DESC').all(id),
+      allocations: db.prepare('SELECT * FROM allocations WHERE session_id = ? ORDER BY version DESC').all(id),
+      locks: listLocks(id),
+      files: db.prepare('SELECT COUNT(*) AS n FROM files WHERE session_id = ?').get(id).n
+    };
+  }
+
+  function updateSession(id, { name, status }){
+    const session = getSession(id);
+    if (!session) return null;
+    db.prepare('UPDATE sessions SET name = ?, status = ?, updated_at = ? WHERE id = ?')
+      .run(name !== undefined ? String(name) : session.name, status !== undefined ? status : session.status, now(), id);
+    return getSession(id);
+  }
+
+  // drops the session's records and its files in uploads/; returns the file names removed. Student / hall / roster lists
+  // another session's allocations were made from are handed over to that session instead (replay needs them).
+  function deleteSession(id){
+    if (!getSession(id)) return null;
+    const files = db.transaction(()=>{
+      const shared = db.prepare(`SELECT f.name, MIN(a.session_id) AS session_id FROM files f
+        JOIN allocations a ON a.session_id <> f.session_id AND f.name IN (a.students_file, a.halls_file, a.invigilators_file)
+        WHERE f.session_id = ? GROUP BY f.name`).all(id);
+      for (const f of shared) db.prepare('UPDATE files SET session_id = ? WHERE name = ?').run(f.session_id, f.name);
+      const names = db.prepare('SELECT name FROM files WHERE session_id = ?').all(id).map(f=>f.name);
+      db.prepare('DELETE FROM sessions WHERE id = ?').run(id);
+      return names;
+    })();
+    for (const f of files){
+      const p = path.join(uploadDir, path.basename(f));
+      if (fs.existsSync(p)) fs.unlinkSync(p);
+    }
+    return files;
+  }
+
+  function addFiles(sessionId, kind, names){
+    for (const n of names) if (n) q.insertFile.run(n, sessionId, kind);
+  }
+
+  const addCohort = db.transaction((sessionId, file, count, sources=[], at=now())=>{
+    addFiles(sessionId, 'source', sources);
+    addFiles(sessionId, 'students', [file]);
+    q.insertCohort.run(sessionId, file, count, at);
+    q.touch.run(now(), sessionId);
+  });
+
+  const addHallInventory = db.transaction((sessionId, file, count, sources=[], at=now())=>{
+    addFiles(sessionId, 'source', sources);
+    addFiles(sessionId, 'halls', [file]);
+    q.insertHalls.run(sessionId, file, count, at);
+    q.touch.run(now(), sessionId);
+  });
+
+  const addInvigilatorRoster = db.transaction((sessionId, file, count, sources=[], at=now())=>{
+    addFiles(sessionId, 'source', sources);
+    addFiles(sessionId, 'invigilators', [file]);
+    q.insertRoster.run(sessionId, file, count, at);
+    q.touch.run(now(), sessionId);
+  });
+
+  // next version number of the session; outputs are the manifest's per-day files
+  const addAllocation = db.transaction((sessionId, a, at=now())=>{
+    const version = q.nextVersion.get(sessionId).v;
+    addFiles(sessionId, 'output', a.outputs);
+    addFiles(sessionId, 'manifest', [a.manifestFile]);
+    q.insertAllocation.run(sessionId, version, a.manifestFile, a.studentsFile || null, a.hallsFile || null, a.seed !== undefined ? String(a.seed) : null, a.allocator || null, at, a.baseVersion || null, a.invigilatorsFile || null);
+    q.touch.run(now(), sessionId);
+    return version;
+  });
+
+  function sessionOfFile(name){
+    const r = q.fileOwner.get(name);
+    return r ? r.session_id : null;
+  }
+
+  function latestCohort(sessionId){ return q.latestCohort.get(sessionId) || null; }
+  function latestHallInventory(sessionId){ return q.latestHalls.get(sessionId) || null; }
+  function latestInvigilatorRoster(sessionId){ return q.latestRoster.get(sessionId) || null; }
+
+  // a version of the session's allocations, the latest without one
+  function getAllocation(sessionId, version){
+    return (version ? q.allocation.get(sessionId, version) : q.latestAllocation.get(sessionId)) || null;
+  }
+
+  /* Adopt uploads/ files the store does not know yet. Allocations are grouped by the student list their audit
+     record names (one session per list, versions in manifest order) and take that list, their halls file and roster
+     along; remaining student lists get a session each; everything else left over (hall files, raw uploads,
+     manifests without an audit record) goes to one 'Imported uploads' session so it can be reviewed or deleted.
+     Safe to run again: known files are skipped. */
+  const importUploads = db.transaction(()=>{
+    const known = new Set(db.prepare('SELECT name FROM files').all().map(f=>f.name));
+    const names = fs.readdirSync(uploadDir).filter(n=>!known.has(n) && fs.statSync(path.join(uploadDir, n)).isFile()).sort();
+    const pending = new Set(names);
+    const bySource = new Map();
+    const report = { sessions: 0, cohorts: 0, hall_inventories: 0, invigilator_rosters: 0, allocations: 0, files: 0 };
+    const sessionFor = (key, name, at) => {
+      if (!bySource.has(key)){ bySource.set(key, createSession(name, at).id); report.sessions++; }
+      return bySource.get(key);
+    };
+    const take = (sessionId, kind, name) => {
+      if (!pending.has(name)) return false;
+      pending.delete(name);
+      addFiles(sessionId, kind, [name]);
+      report.files++;
+      return true;
+    };
+    const count = name => { try { const v = JSON.parse(fs.readFileSync(path.join(uploadDir, name), 'utf8')); return Array.isArray(v) ? v.length : null; } catch (e) { return null; } };
+    const takeCohort = (sessionId, name) => { if (take(sessionId, 'students', name)){ q.insertCohort.run(sessionId, name, count(name), stampOf(name)); report.cohorts++; } };
+    const takeHalls = (sessionId, name) => { if (take(sessionId, 'halls', name)){ q.insertHalls.run(sessionId, name, count(name), stampOf(name)); report.hall_inventories++; } };
+    const takeRoster = (sessionId, name) => { if (take(sessionId, 'invigilators', name)){ q.insertRoster.run(sessionId, name, count(name), stampOf(name)); report.invigilator_rosters++; } };
+
+    for (const name of names.filter(n=>/^manifest_.*\.json$/.test(n))){
+      let manifest;
+      try { manifest = JSON.parse(fs.readFileSync(path.join(uploadDir, name), 'utf8')); } catch (e) { continue; }
+      const audit = manifest.audit;
+      if (!audit || !audit.inputs || !audit.inputs.students) continue;
+      const students = audit.inputs.students.file;
+      const halls = audit.inputs.halls ? audit.inputs.halls.file : null;
+      const sessionId = sessionOfFile(students) || sessionFor(students, `Imported: ${students}`, stampOf(students));
+      takeCohort(sessionId, students);
+      if (halls) takeHalls(sessionId, halls);
+      if (audit.inputs.invigilators) takeRoster(sessionId, audit.inputs.invigilators.file);
+      const outputs = Object.values(manifest).filter(v=>typeof v === 'string' && pending.has(v));
+      for (const o of outputs) take(sessionId, 'output', o);
+      take(sessionId, 'manifest', name);
+      const version = q.nextVersion.get(sessionId).v;
+      q.insertAllocation.run(sessionId, version, name, students, halls, audit.seed !== undefined ? String(audit.seed) : null, (audit.params && audit.params.allocator) || null, audit.generated_at || stampOf(name), null, audit.inputs.invigilators ? audit.inputs.invigilators.file : null);
+      report.allocations++;
+    }
+    for (const name of names.filter(n=>pending.has(n) && /^students_.*\.json$/.test(n))){
+      takeCohort(sessionFor(name, `Imported: ${name}`, stampOf(name)), name);
+    }
+    if (pending.size){
+      const rest = sessionFor('__rest__', 'Imported uploads');
+      for (const name of Array.from(pending)){
+        if (/^halls_.*\.json$/.test(name)) takeHalls(rest, name);
+        else if (/^invigilators_.*\.json$/.test(name)) takeRoster(rest, name);
+        else take(rest, /^manifest_.*\.json$/.test(name) ? 'manifest' : /^(allocation|duties)_/.test(name) ? 'output' : 'source', name);
+      }
+    }
+    q.setMeta.run('uploads_imported_at', now());
+    return report;
+  });
+
+  // lock: { day, register_number } or { day, hall_id, bench_number, seat }
+  const addLocks = db.transaction((sessionId, locks)=>{
+    const insert = db.prepare('INSERT INTO locks (session_id, day, register_number, hall_id, bench_number, seat, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)');
+    const ids = locks.map(l=>insert.run(sessionId, l.day, l.register_number || null, l.hall_id || null, l.bench_number || null, l.seat || null, now()).lastInsertRowid);
+    q.touch.run(now(), sessionId);
+    return ids.map(id=>db.prepare('SELECT * FROM locks WHERE id = ?').get(id));
+  });
+
+  function listLocks(sessionId){
+    return db.prepare('SELECT * FROM locks WHERE session_id = ? ORDER BY id').all(sessionId);
+  }
+
+  function deleteLock(sessionId, id){
+    return db.prepare('DELETE FROM locks WHERE session_id = ? AND id = ?').run(sessionId, id).changes > 0;
+  }
+
+  // version null unpublishes
+  function publishAllocation(sessionId, version){
+    db.prepare('UPDATE sessions SET published_version = ?, published_at = ?, updated_at = ? WHERE id = ?').run(version, version ? now() : null, now(), sessionId);
+    return getSession(sessionId);
+  }
+
+  // published versions of active sessions, newest publication first
+  function publishedAllocations(){
+    return db.prepare(`SELECT a.*, s.name AS session_name FROM sessions s
+      JOIN allocations a ON a.session_id = s.id AND a.version = s.published_version
+      WHERE s.status = 'active' ORDER BY s.published_at DESC`).all();
+  }
+
+  function uploadsImported(){
+    const r = q.getMeta.get('uploads_imported_at');
+    return r ? r.value : null;
+  }
+
+  return { createSession, getSession, listSessions, sessionDetail, updateSession, deleteSession, addFiles, addCohort, addHallInventory, addInvigilatorRoster, addAllocation, sessionOfFile, latestCohort, latestHallInventory, latestInvigilatorRoster, getAllocation, addLocks, listLocks, deleteLock, publishAllocation, publishedAllocations, importUploads, uploadsImported };
+}
+
+module.exports = { openStore, STATUSES, MIGRATIONS };
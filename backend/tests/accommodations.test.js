@@ -0,0 +1,69 @@
+// Accommodations: tagged students get a hall or bench with the matching tag, separate rooms hold only the students
+// who need one, and a need no seat meets sends the student back to the general pool and into unmetAccommodations
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, makeStudents } = require('./helpers');
+
+const srv = startServer();
+test.after(()=>srv.close());
+
+// one halls file built hall by hall, the way the floor plan editor saves them
+async function saveHalls(halls){
+  let file;
+  for (const hall of halls){
+    const r = await srv.api('POST', '/api/blueprint/save', { hallsFile: file, hall });
+    assert.strictEqual(r.status, 200, JSON.stringify(r.body));
+    file = r.body.file;
+  }
+  return file;
+}
+
+async function allocate(students, hallsFile, params={}){
+  const studentsFile = (await srv.api('POST', '/api/update-students', { students })).body.file;
+  const r = await srv.api('POST', '/api/allocate', { studentsFile, hallsFile, adjacency: 'orthogonal', seed: 5, ...params });
+  assert.strictEqual(r.status, 200, JSON.stringify(r.body));
+  const rows = srv.readUpload(srv.readUpload(r.body.manifestFile).single);
+  return { body: r.body, seatOf: reg => rows.find(row=>row.register_number === reg), rows };
+}
+
+test('accommodated students get the tagged hall, bench or room', async ()=>{
+  const hallsFile = await saveHalls([
+    // pillars (P) at both ends of the front row: only bench 2, tagged below, is a front-row aisle seat
+    { hall_id: 'A', layout: ['PBBBP', 'BBBBB'], bench_tags: { 2: ['aisle'] } },
+    { hall_id: 'B', layout: ['BBBBB', 'BBBBB'], tags: ['accessible'] },
+    { hall_id: 'C', layout: ['BBB'], tags: ['separate_room'] }
+  ]);
+  const students = makeStudents(16);
+  students[0].accommodations = ['accessible'];
+  students[1].accommodations = ['front_row', 'aisle'];
+  students[2].accommodations = ['separate_room'];
+  students[3].accommodations = ['scribe'];
+  for (const allocator of ['normal', 'optimize']){
+    const { body, seatOf, rows } = await allocate(students, hallsFile, { allocator });
+    assert.deepStrictEqual(body.unmetAccommodations, [], allocator);
+    assert.deepStrictEqual(body.unseated, [], allocator);
+    assert.strictEqual(seatOf('KTE20CS001').hall_id, 'B', allocator);
+    assert.deepStrictEqual([seatOf('KTE20CS002').hall_id, seatOf('KTE20CS002').bench_number], ['A', 2], allocator);
+    // the separate room holds its two students and nobody else
+    const room = rows.filter(row=>row.hall_id === 'C' && row.register_number).map(row=>row.register_number).sort();
+    assert.deepStrictEqual(room, ['KTE20CS003', 'KTE20CS004'], allocator);
+  }
+});
+
+test('a need no seat meets is reported and the student sits with everyone else', async ()=>{
+  const hallsFile = await saveHalls([{ hall_id: 'A', layout: ['BBBBB', 'BBBBB'] }]);
+  const students = makeStudents(8);
+  students[0].accommodations = ['accessible'];
+  students[1].accommodations = ['separate_room'];
+  students[2].accommodations = ['braille'];
+  for (const allocator of ['normal', 'optimize']){
+    const { body, seatOf } = await allocate(students, hallsFile, { allocator });
+    assert.deepStrictEqual(body.unseated, [], allocator);
+    for (const reg of ['KTE20CS001', 'KTE20CS002', 'KTE20CS003']) assert.strictEqual(seatOf(reg).hall_id, 'A', allocator);
+    const unmet = Object.fromEntries(body.unmetAccommodations.map(u=>[u.register_number, u]));
+    assert.deepStrictEqual(Object.keys(unmet).sort(), ['KTE20CS001', 'KTE20CS002', 'KTE20CS003'], allocator);
+    assert.deepStrictEqual(unmet.KTE20CS001, { day: 'single', register_number: 'KTE20CS001', accommodations: ['accessible'], missing: ['accessible'], unknown: [], placed: null }, allocator);
+    assert.deepStrictEqual(unmet.KTE20CS002.missing, ['separate_room'], allocator);
+    assert.deepStrictEqual(unmet.KTE20CS003.unknown, ['braille'], allocator);
+  }
+});
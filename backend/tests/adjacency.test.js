@@ -0,0 +1,65 @@
+// Adjacency: no two students of a subject sit next to each other when the halls allow it, and every clash that
+// cannot be avoided is reported by hall and bench. Neighbours are worked out here from the seat grid of the output.
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, makeStudents } = require('./helpers');
+
+const srv = startServer();
+test.after(()=>srv.close());
+
+const OFFSETS = {
+  orthogonal: [[-1,0],[1,0],[0,-1],[0,1]],
+  diagonal: [[-1,0],[1,0],[0,-1],[0,1],[-1,-1],[-1,1],[1,-1],[1,1]]
+};
+
+// the seated rows with a same-subject neighbour (single-seat benches, so the grid column is the seat's column)
+function clashes(rows, adjacency){
+  const seated = rows.filter(r=>r.register_number);
+  const at = new Map(seated.map(r=>[`${r.hall_id}#${r.row}#${r.col}`, r]));
+  return seated.filter(r=>OFFSETS[adjacency].some(([dr, dc])=>{
+    const n = at.get(`${r.hall_id}#${r.row+dr}#${r.col+dc}`);
+    return n && n.subject_code === r.subject_code;
+  }));
+}
+
+async function allocate(students, params){
+  const file = (await srv.api('POST', '/api/update-students', { students })).body.file;
+  const r = await srv.api('POST', '/api/allocate', { studentsFile: file, seed: 3, ...params });
+  assert.strictEqual(r.status, 200, JSON.stringify(r.body));
+  return { body: r.body, rows: srv.readUpload(srv.readUpload(r.body.manifestFile).single) };
+}
+
+test('a cohort the hall can separate gets no same-subject neighbours', async ()=>{
+  // one hall of 30 benches (3 rows of 10), filled completely or nearly so: 'odd' uses every other bench
+  const cases = [
+    ['normal', 'orthogonal', makeStudents(30, ['CS101', 'MA201'])],
+    ['normal', 'diagonal', makeStudents(24, ['CS101', 'MA201', 'PH301', 'EE401'])],
+    ['odd', 'orthogonal', makeStudents(15, ['CS101', 'MA201'])],
+    ['odd', 'diagonal', makeStudents(15, ['CS101', 'MA201'])]
+  ];
+  for (const [allocator, adjacency, students] of cases){
+    const label = `${allocator}/${adjacency}`;
+    const { body, rows } = await allocate(students, { numHalls: 1, benchesPerHall: 30, allocator, adjacency });
+    assert.strictEqual(rows.filter(r=>r.register_number).length, students.length, label);
+    assert.deepStrictEqual(clashes(rows, adjacency), [], label);
+    assert.deepStrictEqual(body.violations, [], label);
+    assert.strictEqual(body.constraintMet, true, label);
+  }
+});
+
+test('a full hall that cannot be separated reports every clash by hall and bench', async ()=>{
+  // three subjects cannot colour a full grid when diagonal neighbours count
+  const { body, rows } = await allocate(makeStudents(30), { numHalls: 1, benchesPerHall: 30, allocator: 'normal', adjacency: 'diagonal' });
+  const expected = clashes(rows, 'diagonal');
+  assert.ok(expected.length > 0);
+  assert.strictEqual(body.constraintMet, false);
+  assert.deepStrictEqual(body.violatedHalls, ['Hall_1']);
+  assert.deepStrictEqual(body.violations.map(v=>`${v.hall_id}#${v.bench_number}`).sort(), expected.map(r=>`${r.hall_id}#${r.bench_number}`).sort());
+  for (const v of body.violations){
+    assert.strictEqual(v.day, 'single');
+    assert.ok(v.conflicts_with.length > 0);
+    const row = rows.find(r=>r.hall_id === v.hall_id && r.bench_number === v.bench_number);
+    assert.strictEqual(v.subject_code, row.subject_code);
+    assert.strictEqual(v.register_number, row.register_number);
+  }
+});
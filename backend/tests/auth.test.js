@@ -0,0 +1,55 @@
+// Access: bearer tokens for the API, query-string tokens only where a browser cannot send headers, and file
+// names from requests never leave uploads/
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer, makeStudents } = require('./helpers');
+
+const srv = startServer();
+test.after(()=>srv.close());
+
+const login = async () => (await srv.api('POST', '/api/admin/login', { username: 'admin', password: 'secret' }, { auth: false })).body.token;
+
+test('a query-string token only opens GET streams and downloads', async ()=>{
+  const token = await login();
+  const file = (await srv.api('POST', '/api/update-students', { students: makeStudents(3) })).body.file;
+  assert.strictEqual((await fetch(`${srv.url}/uploads/${file}?token=${token}`)).status, 200);
+  assert.strictEqual((await fetch(`${srv.url}/uploads/${file}`)).status, 401);
+  assert.strictEqual((await fetch(`${srv.url}/api/jobs/unknown/events?token=${token}`)).status, 404);
+  assert.strictEqual((await fetch(`${srv.url}/api/jobs/unknown/events`)).status, 401);
+
+  assert.strictEqual((await fetch(`${srv.url}/api/jobs?token=${token}`)).status, 401);
+  const post = await fetch(`${srv.url}/api/update-students?token=${token}`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify({ students: [] }) });
+  assert.strictEqual(post.status, 401);
+  assert.strictEqual((await srv.api('GET', '/api/jobs')).status, 200);
+});
+
+test('file names with directories in them are read from uploads/ only', async ()=>{
+  // a JSON file next to uploads/ that the requests below try to reach
+  fs.writeFileSync(path.join(srv.dir, 'outside.json'), JSON.stringify(makeStudents(5)));
+  const allocate = await srv.api('POST', '/api/allocate', { studentsFile: '../outside.json', numHalls: 1, benchesPerHall: 10 });
+  assert.strictEqual(allocate.status, 400);
+  assert.match(allocate.body.error, /not found/);
+  const halls = await srv.api('POST', '/api/allocate', { studentsFile: (await srv.api('POST', '/api/update-students', { students: makeStudents(5) })).body.file, hallsFile: '../outside.json' });
+  assert.strictEqual(halls.status, 400);
+  const replay = await srv.api('POST', '/api/allocate/replay', { manifestFile: '../outside.json' });
+  assert.strictEqual(replay.status, 400);
+  assert.strictEqual((await srv.api('GET', '/api/roster?manifestFile=../outside.json')).status, 400);
+});
+
+test('invigilators read the rosters of their own halls and nothing else', async ()=>{
+  assert.strictEqual((await srv.api('POST', '/api/admin/users', { username: 'inv1', password: 'pw', halls: ['Hall_2'] })).status, 200);
+  const file = (await srv.api('POST', '/api/update-students', { students: makeStudents(40) })).body.file;
+  const { manifestFile } = (await srv.api('POST', '/api/allocate', { studentsFile: file, numHalls: 2, benchesPerHall: 20, allocator: 'normal', adjacency: 'none', seed: 1 })).body;
+  const token = (await srv.api('POST', '/api/admin/login', { username: 'inv1', password: 'pw' }, { auth: false })).body.token;
+  const as = (method, route, body) => fetch(srv.url + route, { method, headers: { 'content-type': 'application/json', Authorization: `Bearer ${token}` }, body: body && JSON.stringify(body) });
+
+  const roster = await (await as('GET', `/api/roster?manifestFile=${manifestFile}`)).json();
+  assert.deepStrictEqual(roster.halls, ['Hall_2']);
+  assert.strictEqual(roster.days.single.length, 20);
+  assert.ok(roster.days.single.every(r=>r.hall_id === 'Hall_2'));
+  assert.strictEqual((await as('POST', '/api/allocate', { studentsFile: file, numHalls: 1 })).status, 403);
+  assert.strictEqual((await as('GET', `/uploads/${manifestFile}`)).status, 403);
+  assert.strictEqual((await fetch(`${srv.url}/api/allocate`, { method: 'POST' })).status, 401);
+});
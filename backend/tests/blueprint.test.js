@@ -0,0 +1,100 @@
+// Blueprint detection: plans become layout masks, oversized images are refused from their header, uploads are not kept,
+// and a saved layout seats students on its bench cells only
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { PNG } = require('pngjs');
+const { analyzeBlueprint } = require('../blueprint');
+const { startServer, makeStudents } = require('./helpers');
+
+const srv = startServer();
+test.after(()=>srv.close());
+
+// a light plan with rows × cols dark benches on it
+function plan(rows, cols){
+  const png = new PNG({ width: 40 + cols*50, height: 40 + rows*40 });
+  png.data.fill(255);
+  for (let r = 0; r < rows; r++) for (let c = 0; c < cols; c++) for (let y = 30 + r*40; y < 50 + r*40; y++) for (let x = 30 + c*50; x < 60 + c*50; x++){
+    const i = (y*png.width + x)*4;
+    png.data[i] = png.data[i+1] = png.data[i+2] = 20;
+  }
+  return PNG.sync.write(png);
+}
+
+// a PNG whose header claims width × height, with no image data behind it
+function pngHeader(width, height){
+  const buf = plan(1, 1).subarray(0, 33);
+  buf.writeUInt32BE(width, 16);
+  buf.writeUInt32BE(height, 20);
+  return buf;
+}
+
+// a JPEG whose start-of-frame claims width × height
+function jpegHeader(width, height){
+  const sof = Buffer.from([0xff, 0xc0, 0x00, 0x11, 0x08, 0, 0, 0, 0, 0x03, 1, 0x22, 0, 2, 0x11, 1, 3, 0x11, 1]);
+  sof.writeUInt16BE(height, 5);
+  sof.writeUInt16BE(width, 7);
+  return Buffer.concat([Buffer.from([0xff, 0xd8]), sof, Buffer.from([0xff, 0xd9])]);
+}
+
+// a DXF with n solid rectangles, 500 to a row
+function dxf(n){
+  const out = ['0', 'SECTION', '2', 'ENTITIES'];
+  for (let i = 0; i < n; i++){
+    const x = (i % 500) * 10, y = Math.floor(i / 500) * 10;
+    out.push('0', 'SOLID', '8', 'benches', '10', x, '20', y, '11', x+6, '21', y, '12', x, '22', y+4, '13', x+6, '23', y+4);
+  }
+  return Buffer.from(out.concat('0', 'ENDSEC', '0', 'EOF').join('\n'));
+}
+
+test('a raster plan becomes a layout mask', ()=>{
+  assert.deepStrictEqual(analyzeBlueprint(plan(2, 3)), { source: 'image', rows: 2, cols: 3, benches: 6, pillars: 0, layout: ['BBB', 'BBB'], confidence: 1, warnings: [] });
+  const svg = '<svg>' + [0, 1].map(r=>[0, 1, 2].map(c=>`<rect class="bench" x="${c*50}" y="${r*40}" width="30" height="20"/>`).join('')).join('') + '</svg>';
+  assert.deepStrictEqual(analyzeBlueprint(Buffer.from(svg)).layout, ['BBB', 'BBB']);
+});
+
+test('oversized or unreadable images are refused before they are decoded', ()=>{
+  for (const buf of [pngHeader(100000, 100000), jpegHeader(65000, 65000)]) assert.throws(()=>analyzeBlueprint(buf), e=>e.status === 413);
+  assert.throws(()=>analyzeBlueprint(Buffer.from([0xff, 0xd8, 0xff, 0xd9])), e=>e.status === 400);
+  assert.throws(()=>analyzeBlueprint(Buffer.from('not a plan')), e=>e.status === 415);
+});
+
+test('drawings with more elements than a hall could have are refused', ()=>{
+  assert.deepStrictEqual(analyzeBlueprint(dxf(6)).layout, ['BBBBBB']);
+  assert.throws(()=>analyzeBlueprint(dxf(150000)), e=>e.status === 422 && /too many elements/.test(e.message));
+  const svg = '<svg>' + '<rect class="bench" x="0" y="0" width="30" height="20"/>'.repeat(60000) + '</svg>';
+  assert.throws(()=>analyzeBlueprint(Buffer.from(svg)), e=>e.status === 422);
+});
+
+async function analyze(buf, name){
+  const token = (await srv.api('POST', '/api/admin/login', { username: 'admin', password: 'secret' }, { auth: false })).body.token;
+  const fd = new FormData();
+  fd.append('blueprint', new Blob([buf]), name);
+  const res = await fetch(`${srv.url}/api/blueprint/analyze`, { method: 'POST', headers: { Authorization: `Bearer ${token}` }, body: fd });
+  return { status: res.status, body: await res.json() };
+}
+
+test('the uploaded plan is deleted once it has been analyzed', async ()=>{
+  const ok = await analyze(plan(3, 4), 'Hall A.png');
+  assert.strictEqual(ok.status, 200);
+  assert.deepStrictEqual(ok.body.hall, { hall_id: 'Hall A', benches: 12, rows: 3, cols: 4, layout: ['BBBB', 'BBBB', 'BBBB'] });
+  assert.strictEqual(ok.body.file, undefined);
+  const bomb = await analyze(pngHeader(100000, 100000), 'bomb.png');
+  assert.strictEqual(bomb.status, 413);
+  assert.strictEqual((await analyze(dxf(150000), 'huge.dxf')).status, 422);
+  assert.deepStrictEqual(fs.readdirSync(process.env.UPLOAD_DIR), []);
+});
+
+test('a saved layout seats students on its bench cells only', async ()=>{
+  const first = await srv.api('POST', '/api/blueprint/save', { hall: { hall_id: 'B', layout: 'BPB/B.B' } });
+  assert.deepStrictEqual(first.body.hall, { hall_id: 'B', benches: 4, rows: 2, cols: 3, layout: ['BPB', 'B.B'] });
+  const second = await srv.api('POST', '/api/blueprint/save', { hallsFile: first.body.file, hall: { hall_id: 'A', layout: ['BB'] } });
+  assert.deepStrictEqual(srv.readUpload(second.body.file).map(h=>h.hall_id), ['A', 'B']);
+
+  const studentsFile = (await srv.api('POST', '/api/update-students', { students: makeStudents(6) })).body.file;
+  const r = await srv.api('POST', '/api/allocate', { studentsFile, hallsFile: second.body.file, allocator: 'normal', adjacency: 'none', seed: 1 });
+  assert.deepStrictEqual(r.body.unseated, []);
+  const rows = srv.readUpload(srv.readUpload(r.body.manifestFile).single).filter(row=>row.hall_id === 'B');
+  assert.deepStrictEqual(rows.map(row=>[row.bench_number, row.row, row.col]), [[1, 1, 1], [2, 1, 3], [3, 2, 1], [4, 2, 3]]);
+  assert.strictEqual((await srv.api('POST', '/api/blueprint/save', { hall: { hall_id: 'C', layout: 'P.P' } })).body.error, 'layout has no benches');
+});
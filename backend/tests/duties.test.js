@@ -0,0 +1,100 @@
+// Invigilator duties: enough staff per hall, never for their own subject, within availability and caps
+const test = require('node:test');
+const assert = require('node:assert');
+const XLSX = require('xlsx');
+const { assignDuties, slotMatches } = require('../duties');
+const { startServer, makeStudents } = require('./helpers');
+
+const srv = startServer();
+test.after(()=>srv.close());
+
+const opts = { studentsPerInvigilator: 30, minPerHall: 1 };
+const fixedOrder = () => 0.5;
+const slot = (key, halls) => ({ key, date: key.slice(0, 10), session: key.slice(11), halls });
+const staff = (staff_id, more={}) => ({ staff_id, name: staff_id, department: '', subjects: [], available: [], unavailable: [], ...more });
+
+test('availability tokens match slots by key, date, session or all', ()=>{
+  const s = { key: '2026-03-02_FN', date: '2026-03-02', session: 'FN' };
+  for (const t of ['all', '*', '2026-03-02_fn', '2026-03-02', '2026-03-02 FN', 'fn']) assert.ok(slotMatches(t, s), t);
+  for (const t of ['', 'AN', '2026-03-03', '2026-03-02 AN']) assert.ok(!slotMatches(t, s), t);
+});
+
+test('halls get one invigilator per 30 candidates from whoever may take them', ()=>{
+  const invigilators = [
+    staff('A', { subjects: ['CS101'] }),
+    staff('B', { unavailable: ['FN'] }),
+    staff('C', { max_duties: 1 }),
+    staff('D'), staff('E')
+  ];
+  const { duties, shortfall, load } = assignDuties([
+    slot('2026-03-02_FN', [{ hall_id: 'H1', occupancy: 61, subjects: ['CS101'] }, { hall_id: 'H2', occupancy: 10, subjects: ['MA201'] }]),
+    slot('2026-03-02_AN', [{ hall_id: 'H1', occupancy: 20, subjects: ['CS101'] }])
+  ], invigilators, opts, fixedOrder);
+
+  const fn = duties.filter(d=>d.day === '2026-03-02_FN');
+  assert.deepStrictEqual(fn.map(d=>[d.hall_id, d.needed]), [['H1', 3], ['H2', 1]]);
+  // H1 writes CS101, so A may not invigilate it; B is away in the forenoon
+  assert.deepStrictEqual(fn[0].invigilators.map(i=>i.staff_id).sort(), ['C', 'D', 'E']);
+  assert.deepStrictEqual(fn[1].invigilators.map(i=>i.staff_id), ['A']);
+  assert.deepStrictEqual(shortfall, []);
+  // C is at their cap and A teaches CS101, so the afternoon goes to the least loaded of B, D and E: B
+  assert.deepStrictEqual(duties.find(d=>d.day === '2026-03-02_AN').invigilators.map(i=>i.staff_id), ['B']);
+  assert.deepStrictEqual(load.map(l=>[l.staff_id, l.duties]), [['A', 1], ['B', 1], ['C', 1], ['D', 1], ['E', 1]]);
+});
+
+test('posts nobody can fill are reported with the reasons', ()=>{
+  const { duties, shortfall } = assignDuties([slot('2026-03-02_FN', [{ hall_id: 'H1', occupancy: 40, subjects: ['CS101'] }])],
+    [staff('A', { subjects: ['cs101'] }), staff('B', { available: ['AN'] }), staff('C')], opts, fixedOrder);
+  assert.deepStrictEqual(duties[0].invigilators.map(i=>i.staff_id), ['C']);
+  assert.deepStrictEqual(shortfall, [{ day: '2026-03-02_FN', date: '2026-03-02', session: 'FN', hall_id: 'H1', needed: 2, assigned: 1, ruled_out: { busy: 1, unavailable: 1, cap: 0, own_subject: 1 } }]);
+});
+
+async function upload(rows, profile){
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(rows), 'Staff');
+  const fd = new FormData();
+  fd.append('invigilators', new Blob([XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' })]), 'staff.xlsx');
+  if (profile) fd.append('profile', profile);
+  const token = (await srv.api('POST', '/api/admin/login', { username: 'admin', password: 'secret' }, { auth: false })).body.token;
+  const res = await fetch(`${srv.url}/api/upload/invigilators`, { method: 'POST', headers: { Authorization: `Bearer ${token}` }, body: fd });
+  return { status: res.status, body: await res.json() };
+}
+
+test('roster warnings point at spreadsheet rows, below a title and past blank lines', async ()=>{
+  const profile = await srv.api('POST', '/api/profiles', { name: 'staff-with-title', kind: 'invigilators', headerRow: 1, columns: { staff_id: 'Staff ID', name: 'Name', subjects: 'Subjects' } });
+  assert.strictEqual(profile.status, 200, JSON.stringify(profile.body));
+  const r = await upload([
+    ['Invigilators, March series'],
+    ['Staff ID', 'Name', 'Subjects'],
+    ['T01', 'Asha', 'CS101'],
+    [],
+    ['T02', 'Babu', ''],
+    ['t01', 'Asha again', ''],
+    ['', '', 'MA201']
+  ], 'staff-with-title');
+  assert.strictEqual(r.status, 200, JSON.stringify(r.body));
+  assert.strictEqual(r.body.count, 2);
+  assert.deepStrictEqual(r.body.warnings, [{ row: 6, staff_id: 'T01', warning: 'duplicate staff id; dropped' }, { row: 7, warning: 'no name or staff id; skipped' }]);
+});
+
+test('an allocation with a roster gets a duty chart that replays', async ()=>{
+  const staffRows = [['Staff ID', 'Name', 'Department', 'Subjects']].concat(Array.from({ length: 6 }, (_, i)=>[`T${i+1}`, `Teacher ${i+1}`, i % 2 ? 'CSE' : 'MATH', i === 0 ? 'CS101' : '']));
+  const roster = await upload(staffRows);
+  assert.strictEqual(roster.status, 200, JSON.stringify(roster.body));
+  const { sessionId } = roster.body;
+  await srv.api('POST', '/api/update-students', { students: makeStudents(70), sessionId });
+  const r = await srv.api('POST', '/api/allocate', { sessionId, numHalls: 2, benchesPerHall: 40, allocator: 'normal', seed: 2 });
+  assert.strictEqual(r.status, 200, JSON.stringify(r.body));
+  assert.deepStrictEqual(r.body.duties.shortfall, []);
+
+  const manifest = srv.readUpload(r.body.manifestFile);
+  const { duties } = srv.readUpload(manifest.duties);
+  // 40 + 30 candidates: two invigilators for the full hall, one for the other
+  assert.deepStrictEqual(duties.map(d=>d.needed).sort(), [1, 2]);
+  const names = duties.flatMap(d=>d.invigilators.map(i=>i.staff_id));
+  assert.strictEqual(new Set(names).size, 3);
+  assert.ok(!names.includes('T1'));
+  const replay = await srv.api('POST', '/api/allocate/replay', { manifestFile: r.body.manifestFile });
+  assert.strictEqual(replay.body.duties.match, true);
+  assert.strictEqual(replay.body.identical, true);
+});
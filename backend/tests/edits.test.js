@@ -0,0 +1,84 @@
+// Manual edits and locks: every move or swap is checked again before it becomes the session's next version
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, makeStudents } = require('./helpers');
+
+const srv = startServer();
+test.after(()=>srv.close());
+
+// a session with 15 students in one hall of 20 single-seat benches (two rows of ten)
+async function allocated(allocator){
+  const { sessionId } = (await srv.api('POST', '/api/update-students', { students: makeStudents(15) })).body;
+  const r = await srv.api('POST', '/api/allocate', { sessionId, numHalls: 1, benchesPerHall: 20, allocator, adjacency: 'orthogonal', seed: 4 });
+  assert.strictEqual(r.status, 200, JSON.stringify(r.body));
+  assert.deepStrictEqual(r.body.violations, []);
+  return { sessionId, rows: rowsOf(r.body.manifestFile) };
+}
+
+const rowsOf = manifestFile => srv.readUpload(srv.readUpload(manifestFile).single);
+const seat = r => ({ hall_id: r.hall_id, bench_number: r.bench_number, seat: r.seat });
+const edit = (sessionId, body) => srv.api('POST', `/api/sessions/${sessionId}/edits`, body);
+
+test('a swap that seats a subject next to itself is refused until forced', async ()=>{
+  const { sessionId, rows } = await allocated('normal');
+  // bring a student of bench 2's subject onto bench 1, right beside it
+  const [first, second] = rows;
+  const other = rows.find(r=>r.register_number && r.subject_code === second.subject_code && r !== second && r.subject_code !== first.subject_code);
+  const ops = [{ op: 'swap', a: first.register_number, b: other.register_number }];
+
+  const refused = await edit(sessionId, { ops });
+  assert.strictEqual(refused.status, 409);
+  assert.ok(refused.body.newViolations.some(v=>v.bench_number === 1 && v.subject_code === second.subject_code));
+  assert.deepStrictEqual(refused.body.diff.map(d=>d.register_number).sort(), [first.register_number, other.register_number].sort());
+  assert.strictEqual((await srv.api('GET', `/api/sessions/${sessionId}`)).body.session.allocations.length, 1);
+
+  const forced = await edit(sessionId, { ops, force: true });
+  assert.strictEqual(forced.status, 200, JSON.stringify(forced.body));
+  assert.strictEqual(forced.body.version, 2);
+  assert.strictEqual(forced.body.baseVersion, 1);
+  assert.strictEqual(forced.body.forced, true);
+  assert.deepStrictEqual(forced.body.diff.find(d=>d.register_number === other.register_number).to, seat(first));
+  const after = rowsOf(forced.body.manifestFile);
+  assert.strictEqual(after[0].register_number, other.register_number);
+  assert.strictEqual(srv.readUpload(forced.body.manifestFile).edited.forced, true);
+
+  // the edited version replays from its seed plus the recorded edits
+  const replay = await srv.api('POST', '/api/allocate/replay', { manifestFile: forced.body.manifestFile });
+  assert.strictEqual(replay.body.identical, true);
+});
+
+test('moves go to empty seats the allocator uses', async ()=>{
+  const { sessionId, rows } = await allocated('odd');
+  const [first] = rows;
+  const taken = rows.find(r=>r.register_number && r !== first);
+  const moved = await edit(sessionId, { ops: [{ op: 'move', from: first.register_number, to: seat(taken) }] });
+  assert.strictEqual(moved.status, 409);
+  assert.match(moved.body.error, /is taken by/);
+
+  // the odd allocator leaves every other bench empty; a move onto one is a capacity problem
+  const gap = rows.find(r=>!r.register_number && r.bench_number % 2 === 0);
+  const spaced = await edit(sessionId, { ops: [{ op: 'move', from: first.register_number, to: seat(gap) }] });
+  assert.strictEqual(spaced.status, 409);
+  assert.deepStrictEqual(spaced.body.capacity.map(c=>[c.register_number, c.bench_number]), [[first.register_number, gap.bench_number]]);
+
+  const nothing = await edit(sessionId, { ops: [{ op: 'swap', a: first.register_number, b: first.register_number }] });
+  assert.strictEqual(nothing.status, 400);
+  assert.strictEqual((await edit(sessionId, { ops: [] })).status, 400);
+  assert.strictEqual((await edit(sessionId, { ops: [{ op: 'swap', a: 'KTE20CS999', b: first.register_number }] })).status, 400);
+});
+
+test('a locked student keeps their seat when the session is allocated again', async ()=>{
+  const { sessionId, rows } = await allocated('normal');
+  const kept = rows.find(r=>r.register_number);
+  const lock = await srv.api('POST', `/api/sessions/${sessionId}/locks`, { register_number: kept.register_number.toLowerCase() });
+  assert.strictEqual(lock.status, 200, JSON.stringify(lock.body));
+  assert.strictEqual(lock.body.locks[0].register_number, kept.register_number);
+  assert.strictEqual((await srv.api('POST', `/api/sessions/${sessionId}/locks`, { register_number: 'KTE20CS999' })).status, 400);
+
+  const again = await srv.api('POST', '/api/allocate', { sessionId, numHalls: 1, benchesPerHall: 20, allocator: 'normal', adjacency: 'orthogonal', seed: 'another' });
+  assert.strictEqual(again.status, 200);
+  assert.strictEqual(again.body.version, 2);
+  const after = rowsOf(again.body.manifestFile);
+  assert.deepStrictEqual(seat(after.find(r=>r.register_number === kept.register_number)), seat(kept));
+  assert.notDeepStrictEqual(after.map(r=>r.register_number), rows.map(r=>r.register_number));
+});
@@ -0,0 +1,49 @@
+// Test helpers: the backend on a free port with its uploads/, database, users and profiles in a temp directory.
+// Every test file runs in its own process (node --test), so each one gets a fresh server.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+
+function startServer(env={}){
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'examseater-test-'));
+  Object.assign(process.env, {
+    UPLOAD_DIR: path.join(dir, 'uploads'),
+    DB_FILE: path.join(dir, 'data', 'examseater.db'),
+    USERS_FILE: path.join(dir, 'users.json'),
+    PROFILES_FILE: path.join(dir, 'profiles.json'),
+    OPTIMIZER_SCRIPT: path.join(dir, 'no-optimizer.py'),
+    ADMIN_USER: 'admin',
+    ADMIN_PASS_HASH: bcrypt.hashSync('secret', 4),
+    JWT_SECRET: 'test-secret'
+  }, env);
+  const app = require('../server');
+  const server = app.listen(0);
+  const url = `http://127.0.0.1:${server.address().port}`;
+  let token = null;
+
+  // JSON request; resolves to { status, body }. Admin requests log in once and reuse the token.
+  async function api(method, route, body, opts={}){
+    const headers = { 'content-type': 'application/json' };
+    if (opts.auth !== false){
+      if (!token) token = (await api('POST', '/api/admin/login', { username: 'admin', password: 'secret' }, { auth: false })).body.token;
+      headers.Authorization = `Bearer ${token}`;
+    }
+    const res = await fetch(url + route, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    return { status: res.status, body: await res.json() };
+  }
+  const readUpload = name => JSON.parse(fs.readFileSync(path.join(process.env.UPLOAD_DIR, path.basename(name)), 'utf8'));
+  const close = () => new Promise(resolve=>server.close(()=>{ fs.rmSync(dir, { recursive: true, force: true }); resolve(); }));
+  return { url, api, readUpload, close, dir };
+}
+
+// n students over the given subjects, register numbers KTE20CS001...
+function makeStudents(n, subjects=['CS101', 'MA201', 'PH301']){
+  return Array.from({ length: n }, (_, i)=>({
+    register_number: `KTE20CS${String(i+1).padStart(3, '0')}`,
+    student_name: `Student ${i+1}`,
+    subject_code: subjects[i % subjects.length]
+  }));
+}
+
+module.exports = { startServer, makeStudents };
@@ -0,0 +1,97 @@
+// Background jobs: queued in order, cancellable, and streamed to the browser over server-sent events
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { createJobQueue } = require('../jobs');
+const { startServer, makeStudents } = require('./helpers');
+
+const srv = startServer();
+test.after(()=>srv.close());
+
+// a job that runs until released (or aborted)
+function gate(){
+  let release;
+  const done = new Promise(resolve=>{ release = resolve; });
+  const run = ({ signal }) => new Promise((resolve, reject)=>{
+    done.then(resolve);
+    signal.addEventListener('abort', ()=>reject(new Error('aborted')));
+  });
+  return { run, release };
+}
+
+const settled = () => new Promise(resolve=>setImmediate(resolve));
+
+test('jobs run one at a time in order and can be cancelled', async ()=>{
+  const q = createJobQueue({ concurrency: 1 });
+  const a = gate(), b = gate(), c = gate();
+  const ja = q.submit('allocate', 'admin', a.run), jb = q.submit('allocate', 'admin', b.run), jc = q.submit('optimize', 'admin', c.run);
+  assert.deepStrictEqual([ja, jb, jc].map(j=>q.get(j.id).status), ['running', 'queued', 'queued']);
+
+  const seen = [];
+  q.subscribe(jb.id, j=>seen.push(j.status));
+  assert.strictEqual(q.cancel(jc.id).status, 'cancelled');
+  a.release('first');
+  await settled();
+  assert.deepStrictEqual([q.get(ja.id).status, q.get(ja.id).result], ['succeeded', 'first']);
+  assert.strictEqual(q.get(jb.id).status, 'running');
+
+  q.cancel(jb.id);
+  await settled();
+  assert.strictEqual(q.get(jb.id).status, 'cancelled');
+  assert.deepStrictEqual(seen, ['running', 'cancelled']);
+  assert.deepStrictEqual(q.list().map(j=>j.id), [jc.id, jb.id, ja.id]);
+});
+
+test('only the most recent finished jobs are kept', async ()=>{
+  const q = createJobQueue({ concurrency: 2, history: 2 });
+  const ids = [];
+  for (let i = 0; i < 4; i++) ids.push(q.submit('allocate', 'admin', async ()=>i).id);
+  await settled();
+  assert.deepStrictEqual(q.list().map(j=>j.result), [3, 2]);
+  assert.strictEqual(q.get(ids[0]), null);
+});
+
+test('an allocate job writes its manifest and reports over server-sent events', async ()=>{
+  const file = (await srv.api('POST', '/api/update-students', { students: makeStudents(30) })).body.file;
+  const submitted = await srv.api('POST', '/api/jobs', { type: 'allocate', studentsFile: file, numHalls: 1, benchesPerHall: 40, seed: 3 });
+  assert.strictEqual(submitted.status, 202);
+  const id = submitted.body.job.id;
+
+  // EventSource sends no headers, so the stream takes the token from the query string
+  const token = (await srv.api('POST', '/api/admin/login', { username: 'admin', password: 'secret' }, { auth: false })).body.token;
+  const res = await fetch(`${srv.url}/api/jobs/${id}/events?token=${token}`);
+  assert.strictEqual(res.status, 200);
+  assert.match(res.headers.get('content-type'), /text\/event-stream/);
+  const events = (await res.text()).trim().split('\n\n');
+  const last = events[events.length - 1];
+  assert.match(last, /^event: done\n/);
+  assert.strictEqual(JSON.parse(last.split('data: ')[1]).status, 'succeeded');
+
+  const manifest = await srv.api('GET', `/api/jobs/${id}/manifest`);
+  assert.strictEqual(manifest.status, 200);
+  assert.deepStrictEqual(manifest.body.manifest, srv.readUpload(manifest.body.manifestFile));
+  assert.strictEqual((await srv.api('GET', '/api/jobs')).body.jobs[0].result, undefined);
+
+  assert.strictEqual((await srv.api('POST', '/api/jobs', { type: 'nothing' })).status, 400);
+  assert.strictEqual((await srv.api('GET', '/api/jobs/unknown')).status, 404);
+});
+
+test('a running slot still answers status requests and stops when cancelled', async ()=>{
+  // two subjects on a diagonal grid cannot be separated, so the swap pass works through every seat
+  const file = (await srv.api('POST', '/api/update-students', { students: makeStudents(1500, ['CS101', 'MA201']) })).body.file;
+  const before = fs.readdirSync(process.env.UPLOAD_DIR).length;
+  const { job } = (await srv.api('POST', '/api/jobs', { type: 'allocate', studentsFile: file, numHalls: 30, benchesPerHall: 50, allocator: 'normal', adjacency: 'diagonal', seed: 1 })).body;
+  let status;
+  do { status = await srv.api('GET', `/api/jobs/${job.id}`); } while (status.body.job.status === 'queued');
+  await new Promise(resolve=>setTimeout(resolve, 200));
+
+  let t = Date.now();
+  assert.strictEqual((await srv.api('GET', `/api/jobs/${job.id}`)).body.job.status, 'running');
+  assert.ok(Date.now() - t < 500, `status took ${Date.now() - t} ms`);
+  t = Date.now();
+  await srv.api('POST', `/api/jobs/${job.id}/cancel`);
+  do { status = await srv.api('GET', `/api/jobs/${job.id}`); } while (status.body.job.status === 'running');
+  assert.strictEqual(status.body.job.status, 'cancelled');
+  assert.ok(Date.now() - t < 1000, `cancel took ${Date.now() - t} ms`);
+  assert.strictEqual(fs.readdirSync(process.env.UPLOAD_DIR).length, before);
+});
@@ -0,0 +1,79 @@
+// Hall layouts: the mask (B / 1-9 benches, P pillars, . gaps), bench sizes and seat_use decide which seats each
+// allocator fills, the _viz sheet draws the same grid, and a hall whose benches do not fit its grid is refused
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+const { startServer, makeStudents } = require('./helpers');
+
+const srv = startServer();
+test.after(()=>srv.close());
+
+async function saveHalls(halls){
+  let file;
+  for (const hall of halls){
+    const r = await srv.api('POST', '/api/blueprint/save', { hallsFile: file, hall });
+    assert.strictEqual(r.status, 200, JSON.stringify(r.body));
+    file = r.body.file;
+  }
+  return file;
+}
+
+// L: single-seat benches, a two-seat bench (2), a pillar and gaps; S: two three-seat benches with a seat rule each
+const halls = [
+  { hall_id: 'L', layout: ['BB.B', 'P2.1'] },
+  { hall_id: 'S', layout: ['BB'], seats_per_bench: 3, seat_use: { odd: [1, 3], optimize: [2], '*': [1, 2, 3] } }
+];
+
+async function allocate(hallsFile, allocator){
+  // more students than seats, so every seat the allocator may use is taken
+  const studentsFile = (await srv.api('POST', '/api/update-students', { students: makeStudents(20) })).body.file;
+  const r = await srv.api('POST', '/api/allocate', { studentsFile, hallsFile, allocator, adjacency: 'none', seed: 2 });
+  assert.strictEqual(r.status, 200, JSON.stringify(r.body));
+  const manifest = srv.readUpload(r.body.manifestFile);
+  return { manifest, rows: srv.readUpload(manifest.single).filter(row=>row.register_number) };
+}
+
+test('masks, bench sizes and seat use decide the seats of every allocator', async ()=>{
+  const hallsFile = await saveHalls(halls);
+  const expected = {
+    normal: ['L#1#1', 'L#2#1', 'L#3#1', 'L#4#1', 'L#4#2', 'L#5#1', 'S#1#1', 'S#1#2', 'S#1#3', 'S#2#1', 'S#2#2', 'S#2#3'],
+    // every other single-seat bench, the first seat of a longer one, and S's own rule for odd
+    odd: ['L#1#1', 'L#3#1', 'L#4#1', 'L#5#1', 'S#1#1', 'S#1#3', 'S#2#1', 'S#2#3'],
+    optimize: ['L#1#1', 'L#2#1', 'L#3#1', 'L#4#1', 'L#4#2', 'L#5#1', 'S#1#2', 'S#2#2']
+  };
+  for (const [allocator, seats] of Object.entries(expected)){
+    const { rows } = await allocate(hallsFile, allocator);
+    assert.deepStrictEqual(rows.map(r=>`${r.hall_id}#${r.bench_number}#${r.seat}`).sort(), seats, allocator);
+  }
+  // bench numbers follow the mask, skipping pillars and gaps
+  const { rows } = await allocate(hallsFile, 'normal');
+  const cell = (bench, seat) => { const r = rows.find(x=>x.hall_id === 'L' && x.bench_number === bench && x.seat === seat); return [r.row, r.col]; };
+  assert.deepStrictEqual([cell(1, 1), cell(2, 1), cell(3, 1), cell(4, 2), cell(5, 1)], [[1, 1], [1, 2], [1, 4], [2, 2], [2, 4]]);
+});
+
+test('the _viz sheet draws the hall as its mask', async ()=>{
+  const { manifest, rows } = await allocate(await saveHalls(halls), 'normal');
+  const wb = XLSX.read(fs.readFileSync(path.join(process.env.UPLOAD_DIR, manifest.single_xlsx)));
+  const grid = XLSX.utils.sheet_to_json(wb.Sheets.L_viz, { header: 1, defval: '' });
+  // a bench cell is two columns wide (the two-seat bench); one-seat benches leave their second column empty
+  const at = (bench, seat) => { const r = rows.find(x=>x.hall_id === 'L' && x.bench_number === bench && x.seat === seat); return `${r.student_name} (${r.register_number})\n${r.subject_code}`; };
+  assert.deepStrictEqual(grid, [
+    [at(1, 1), 'Empty', at(2, 1), 'Empty', '', '', at(3, 1), 'Empty'],
+    ['Pillar', 'Pillar', at(4, 1), at(4, 2), '', '', at(5, 1), 'Empty']
+  ]);
+});
+
+test('a hall whose benches do not fit its rows and columns is refused', async ()=>{
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([['Hall', 'Benches', 'Rows', 'Cols'], ['A', 40, 3, 10]]), 'Sheet1');
+  const fd = new FormData();
+  fd.append('hallList', new Blob([XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' })]), 'halls.xlsx');
+  const token = (await srv.api('POST', '/api/admin/login', { username: 'admin', password: 'secret' }, { auth: false })).body.token;
+  const hallsFile = (await (await fetch(`${srv.url}/api/upload/halls`, { method: 'POST', headers: { Authorization: `Bearer ${token}` }, body: fd })).json()).file;
+  const studentsFile = (await srv.api('POST', '/api/update-students', { students: makeStudents(5) })).body.file;
+  const r = await srv.api('POST', '/api/allocate', { studentsFile, hallsFile });
+  assert.strictEqual(r.status, 400);
+  assert.strictEqual(r.body.error, 'hall A: 40 benches do not fit in 3 rows x 10 cols; fix the grid or give a layout');
+});
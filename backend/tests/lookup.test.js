@@ -0,0 +1,47 @@
+// Student seat lookup: only published versions answer, only for the right date of birth, and only a few times
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, makeStudents } = require('./helpers');
+
+const srv = startServer({ LOOKUP_MAX: '5' });
+test.after(()=>srv.close());
+
+const lookup = body => srv.api('POST', '/api/lookup', body, { auth: false });
+
+test('lookup answers for published seating only, and only with the right date of birth', async ()=>{
+  const students = makeStudents(10).map((s, i)=>({ ...s, dob: `2004-01-${String(i+1).padStart(2, '0')}` }));
+  const { sessionId } = (await srv.api('POST', '/api/update-students', { students, sessionName: 'Series 1' })).body;
+  const allocated = await srv.api('POST', '/api/allocate', { sessionId, numHalls: 1, benchesPerHall: 20, allocator: 'normal', seed: 1 });
+  assert.strictEqual(allocated.status, 200);
+  const mine = { register_number: 'kte20cs003', dob: '03/01/2004' };
+
+  assert.strictEqual((await lookup(mine)).status, 404);
+
+  assert.strictEqual((await srv.api('POST', `/api/sessions/${sessionId}/publish`, {})).body.session.published_version, 1);
+  const found = await lookup(mine);
+  assert.strictEqual(found.status, 200, JSON.stringify(found.body));
+  assert.strictEqual(found.body.register_number, 'KTE20CS003');
+  assert.strictEqual(found.body.student_name, 'Student 3');
+  assert.strictEqual(found.body.exams.length, 1);
+  assert.strictEqual(found.body.exams[0].exam, 'Series 1');
+  const row = srv.readUpload(srv.readUpload(allocated.body.manifestFile).single).find(r=>r.register_number === 'KTE20CS003');
+  assert.deepStrictEqual(found.body.exams[0].seats.map(s=>[s.hall_id, s.bench_number, s.seat]), [[row.hall_id, row.bench_number, row.seat]]);
+
+  // a wrong date of birth looks the same as an unknown student
+  const wrong = await lookup({ ...mine, dob: '2004-01-04' });
+  assert.strictEqual(wrong.status, 404);
+  assert.deepStrictEqual(wrong.body, (await lookup({ register_number: 'KTE20CS999', dob: '2004-01-03' })).body);
+
+  await srv.api('DELETE', `/api/sessions/${sessionId}/publish`);
+  assert.strictEqual((await lookup(mine)).status, 404);
+});
+
+test('lookups beyond the limit are turned away with Retry-After', async ()=>{
+  // the first test used all five lookups of this window
+  const res = await fetch(`${srv.url}/api/lookup`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify({ register_number: 'KTE20CS003', dob: '2004-01-03' }) });
+  assert.strictEqual(res.status, 429);
+  assert.ok(parseInt(res.headers.get('retry-after'), 10) > 0);
+  assert.strictEqual((await res.json()).ok, false);
+  // the admin routes are not limited
+  assert.strictEqual((await srv.api('GET', '/api/sessions')).status, 200);
+});
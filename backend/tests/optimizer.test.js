@@ -0,0 +1,37 @@
+// Optimizer bridge: the solver gets a reproducible budget, the audit records it, and replay re-solves to the same seating.
+// A stand-in solver (run by node instead of python) answers with the greedy hint and keeps the problem it was sent.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer, makeStudents } = require('./helpers');
+
+const solverDir = fs.mkdtempSync(path.join(os.tmpdir(), 'examseater-solver-'));
+const script = path.join(solverDir, 'solver.js');
+fs.writeFileSync(script, `
+const chunks = [];
+process.stdin.on('data', c=>chunks.push(c)).on('end', ()=>{
+  const problem = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  require('fs').writeFileSync(${JSON.stringify(path.join(solverDir, 'problem.json'))}, JSON.stringify(problem));
+  process.stdout.write(JSON.stringify({ status: 'OPTIMAL', objective: 0, wall_time: 0, conflicts: 0, general: problem.hint.general, special: problem.hint.special }));
+});`);
+
+const srv = startServer({ OPTIMIZER_SCRIPT: script, OPTIMIZER_PYTHON: process.execPath });
+test.after(async ()=>{ await srv.close(); fs.rmSync(solverDir, { recursive: true, force: true }); });
+
+test('the solver runs on one worker with a deterministic budget, recorded for replay', async ()=>{
+  const file = (await srv.api('POST', '/api/update-students', { students: makeStudents(50) })).body.file;
+  const r = await srv.api('POST', '/api/allocate', { studentsFile: file, numHalls: 2, benchesPerHall: 30, allocator: 'optimize', optimizer: { deterministicTime: 12, workers: 8 }, seed: 9 });
+  assert.strictEqual(r.status, 200, JSON.stringify(r.body));
+  assert.strictEqual(r.body.solver.single.used, true);
+
+  const problem = JSON.parse(fs.readFileSync(path.join(solverDir, 'problem.json'), 'utf8'));
+  assert.strictEqual(problem.deterministic_time, 12);
+  assert.strictEqual(problem.time_limit, undefined);
+  assert.strictEqual(problem.workers, undefined);
+  assert.deepStrictEqual(srv.readUpload(r.body.manifestFile).audit.params.optimizer, { deterministicTime: 12, workers: 1 });
+
+  const replay = await srv.api('POST', '/api/allocate/replay', { manifestFile: r.body.manifestFile });
+  assert.strictEqual(replay.body.identical, true);
+});
@@ -0,0 +1,92 @@
+// Printable outputs: one page per hall (or per table page), register ranges on the door notice, the configured
+// header on every page, and the same bytes whenever the same allocation is rendered
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { seatingChartPdf, doorNoticePdf, attendancePdf, dutyChartPdf } = require('../pdf');
+const { startServer, makeStudents } = require('./helpers');
+
+const srv = startServer();
+test.after(()=>srv.close());
+
+const pageCount = buf => (buf.toString('latin1').match(/\/Type \/Page\b/g) || []).length;
+
+// the text runs of every page: PDFKit writes each line as hex strings in a TJ array (WinAnsi, 0x96 = en dash)
+function pdfText(buf){
+  const out = [];
+  const streams = /stream\r?\n([\s\S]*?)\r?\nendstream/g;
+  for (let m; (m = streams.exec(buf.toString('latin1')));){
+    let content;
+    try { content = zlib.inflateSync(Buffer.from(m[1], 'latin1')).toString('latin1'); } catch (e) { continue; }
+    for (const tj of content.matchAll(/\[(.*?)\] TJ/g)){
+      out.push(Array.from(tj[1].matchAll(/<([0-9a-f]*)>/g), h=>Buffer.from(h[1], 'hex').toString('latin1')).join('').replace(/\x96/g, '–'));
+    }
+  }
+  return out;
+}
+
+const seat = (hall_id, bench_number, register_number) => ({ hall_id, bench_number, seat: 1, row: 1, col: bench_number, register_number, student_name: `Student ${register_number.slice(-3)}`, subject_code: 'CS101' });
+const rows = [
+  seat('A', 1, 'KTE20CS001'), seat('A', 2, 'KTE20CS002'), seat('A', 3, 'KTE20CS003'), seat('A', 4, 'KTE20CS005'),
+  seat('B', 1, 'KTE20EC010')
+];
+// C has no candidates: it still gets a seating chart, but no notice line or attendance sheet
+const hallDefs = [{ hall_id: 'A', rows: 1, cols: 4 }, { hall_id: 'B', rows: 1, cols: 4 }, { hall_id: 'C', rows: 1, cols: 4 }];
+const opts = { header: { institution: 'Test College of Engineering', exam: 'End Semester Examinations' }, slot: { key: 'single' }, date: new Date('2026-03-02T09:00:00Z') };
+const duties = {
+  duties: [{ day: 'single', hall_id: 'A', occupancy: 4, needed: 1, invigilators: [{ staff_id: 'T1', name: 'Asha', department: 'CS' }] }],
+  shortfall: [],
+  load: [{ staff_id: 'T1', name: 'Asha', department: 'CS', duties: 1, max_duties: null }]
+};
+const renders = {
+  seating: o => seatingChartPdf(rows, hallDefs, o),
+  door: o => doorNoticePdf(rows, hallDefs, o),
+  attendance: o => attendancePdf(rows, hallDefs, o),
+  duties: o => dutyChartPdf(duties, o)
+};
+
+test('each document has its pages and the header on every one', async ()=>{
+  const pages = { seating: 3, door: 1, attendance: 2, duties: 1 };
+  for (const [name, render] of Object.entries(renders)){
+    const buf = await render(opts);
+    assert.strictEqual(pageCount(buf), pages[name], name);
+    const text = pdfText(buf);
+    assert.strictEqual(text.filter(t=>t === opts.header.institution).length, pages[name], name);
+    assert.strictEqual(text.filter(t=>t === opts.header.exam).length, pages[name], name);
+  }
+  // without a header nothing is printed above the title
+  const plain = pdfText(await doorNoticePdf(rows, hallDefs, { ...opts, header: {} }));
+  assert.strictEqual(plain[0], 'Hall allocation notice');
+});
+
+test('the door notice lists register ranges per hall', async ()=>{
+  const text = pdfText(await doorNoticePdf(rows, hallDefs, opts));
+  const line = hall => text[text.indexOf(hall) + 1];
+  assert.strictEqual(line('A'), 'KTE20CS001 – KTE20CS003,  KTE20CS005');
+  assert.strictEqual(line('B'), 'KTE20EC010');
+  assert.ok(!text.includes('C'));
+});
+
+test('the same allocation renders to the same bytes', async ()=>{
+  for (const [name, render] of Object.entries(renders)){
+    const [a, b] = [await render(opts), await render(opts)];
+    assert.ok(a.equals(b), name);
+    assert.ok(!a.equals(await render({ ...opts, date: new Date('2026-03-03T09:00:00Z') })), name);
+  }
+});
+
+test('allocations print the header they were given', async ()=>{
+  const studentsFile = (await srv.api('POST', '/api/update-students', { students: makeStudents(12) })).body.file;
+  const header = { institution: 'Govt. Engineering College', exam: 'Series Test I' };
+  const r = await srv.api('POST', '/api/allocate', { studentsFile, numHalls: 2, benchesPerHall: 10, allocator: 'normal', header, seed: 1 });
+  assert.strictEqual(r.status, 200);
+  const manifest = srv.readUpload(r.body.manifestFile);
+  // a chart and an attendance sheet per hall, one notice for both
+  for (const [key, pages] of [['single_seating_pdf', 2], ['single_door_pdf', 1], ['single_attendance_pdf', 2]]){
+    const buf = fs.readFileSync(path.join(process.env.UPLOAD_DIR, manifest[key]));
+    assert.strictEqual(pageCount(buf), pages, key);
+    assert.strictEqual(pdfText(buf).filter(t=>t === header.institution || t === header.exam).length, pages * 2, key);
+  }
+});
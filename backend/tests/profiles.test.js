@@ -0,0 +1,52 @@
+// Column mapping profiles: a stored profile picks the sheet, skips the title rows above the header and splits
+// combined cells with its own regex; naming a profile that does not exist refuses the upload
+const test = require('node:test');
+const assert = require('node:assert');
+const XLSX = require('xlsx');
+const { startServer } = require('./helpers');
+
+const srv = startServer();
+test.after(()=>srv.close());
+
+// a university export: a cover sheet first, then the register with a title row and "Name [register]" cells
+function exportBook(){
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([['Examination register'], ['Generated', '2026-02-01']]), 'Cover');
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([
+    ['Semester 5 candidates'],
+    ['Candidate', 'Paper'],
+    ['Anu Thomas [KTE20CS001]', 'CS101'],
+    ['Biju Mathew [KTE20CS002]', 'MA201']
+  ]), 'Register');
+  return XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+}
+
+async function upload(fields={}){
+  const fd = new FormData();
+  for (const [k, v] of Object.entries(fields)) fd.append(k, v);
+  fd.append('students', new Blob([exportBook()]), 'export.xlsx');
+  const token = (await srv.api('POST', '/api/admin/login', { username: 'admin', password: 'secret' }, { auth: false })).body.token;
+  const res = await fetch(`${srv.url}/api/upload/students`, { method: 'POST', headers: { Authorization: `Bearer ${token}` }, body: fd });
+  return { status: res.status, body: await res.json() };
+}
+
+test('a stored profile is applied to the uploads that name it', async ()=>{
+  const saved = await srv.api('POST', '/api/profiles', { name: 'university-export', kind: 'students', sheet: 1, headerRow: 1, columns: { student: 'Candidate', subject_code: 'Paper' }, combinedRegex: '^(.*?)\\s*\\[([A-Z0-9]+)\\]$' });
+  assert.strictEqual(saved.status, 200, JSON.stringify(saved.body));
+
+  const r = await upload({ profile: 'university-export' });
+  assert.strictEqual(r.status, 200, JSON.stringify(r.body));
+  assert.deepStrictEqual(r.body.summary, {});
+  assert.deepStrictEqual(r.body.report[0].profile, { name: 'university-export', mode: 'applied' });
+  const students = srv.readUpload(r.body.file).map(s=>[s.register_number, s.student_name, s.subject_code]);
+  assert.deepStrictEqual(students, [['KTE20CS001', 'Anu Thomas', 'CS101'], ['KTE20CS002', 'Biju Mathew', 'MA201']]);
+
+  // without a name the stored profile is still found, its headers being all there
+  assert.deepStrictEqual((await upload()).body.report[0].profile, { name: 'university-export', mode: 'detected' });
+});
+
+test('an unknown profile is refused', async ()=>{
+  const r = await upload({ profile: 'no-such-profile' });
+  assert.strictEqual(r.status, 400);
+  assert.strictEqual(r.body.error, 'unknown students profile: no-such-profile');
+});
@@ -0,0 +1,63 @@
+// Seeded allocations: the same seed and inputs give the same seating, and replay confirms it
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer, makeStudents } = require('./helpers');
+
+const srv = startServer();
+test.after(()=>srv.close());
+
+async function studentsFile(){
+  const r = await srv.api('POST', '/api/update-students', { students: makeStudents(90) });
+  assert.strictEqual(r.status, 200);
+  return r.body.file;
+}
+
+async function seating(body){
+  const r = await srv.api('POST', '/api/allocate', body);
+  assert.strictEqual(r.status, 200, JSON.stringify(r.body));
+  const manifest = srv.readUpload(r.body.manifestFile);
+  return { result: r.body, rows: srv.readUpload(manifest.single) };
+}
+
+test('the same seed gives the same seating for every allocator', async ()=>{
+  const file = await studentsFile();
+  for (const allocator of ['odd', 'normal']) for (const adjacency of ['none', 'orthogonal']){
+    const body = { studentsFile: file, numHalls: 3, benchesPerHall: 40, allocator, adjacency, seed: 'fixed-seed' };
+    const a = await seating(body), b = await seating(body);
+    assert.strictEqual(a.result.seed, 'fixed-seed');
+    assert.deepStrictEqual(a.rows, b.rows, `${allocator}/${adjacency}`);
+  }
+});
+
+test('a different seed gives a different seating', async ()=>{
+  const file = await studentsFile();
+  const a = await seating({ studentsFile: file, numHalls: 3, benchesPerHall: 40, allocator: 'normal', seed: 'one' });
+  const b = await seating({ studentsFile: file, numHalls: 3, benchesPerHall: 40, allocator: 'normal', seed: 'two' });
+  assert.notDeepStrictEqual(a.rows, b.rows);
+});
+
+test('without a seed one is generated and recorded for replay', async ()=>{
+  const file = await studentsFile();
+  const { result } = await seating({ studentsFile: file, numHalls: 2, benchesPerHall: 50 });
+  assert.ok(result.seed);
+  const manifest = srv.readUpload(result.manifestFile);
+  assert.strictEqual(manifest.audit.seed, result.seed);
+  const replay = await srv.api('POST', '/api/allocate/replay', { manifestFile: result.manifestFile });
+  assert.strictEqual(replay.status, 200);
+  assert.strictEqual(replay.body.identical, true);
+  assert.ok(replay.body.inputs.every(i=>i.match));
+});
+
+test('replay notices a changed input file', async ()=>{
+  const file = await studentsFile();
+  const { result } = await seating({ studentsFile: file, numHalls: 2, benchesPerHall: 50, seed: 7 });
+  const p = path.join(process.env.UPLOAD_DIR, file);
+  const students = JSON.parse(fs.readFileSync(p, 'utf8'));
+  students[0].subject_code = 'EE999';
+  fs.writeFileSync(p, JSON.stringify(students));
+  const replay = await srv.api('POST', '/api/allocate/replay', { manifestFile: result.manifestFile });
+  assert.strictEqual(replay.body.identical, false);
+  assert.strictEqual(replay.body.inputs.find(i=>i.role === 'students').match, false);
+});
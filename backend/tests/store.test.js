@@ -0,0 +1,82 @@
+// Session store: numbered migrations bring any older database up to date without losing what it holds
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { openStore, MIGRATIONS } = require('../store');
+
+function tempDir(){
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'examseater-store-'));
+  fs.mkdirSync(path.join(dir, 'uploads'));
+  test.after(()=>fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// a database as an older release left it: the first `version` migrations, one session with a cohort and an allocation
+function oldDatabase(file, version){
+  const db = new Database(file);
+  MIGRATIONS.slice(0, version).forEach((sql, i)=>{ db.exec(sql); db.pragma(`user_version = ${i + 1}`); });
+  const at = '2026-01-01T00:00:00.000Z';
+  db.prepare('INSERT INTO sessions (id, name, status, created_at, updated_at) VALUES (1, ?, ?, ?, ?)').run('Old exam', 'active', at, at);
+  db.prepare('INSERT INTO cohorts (session_id, file, count, created_at) VALUES (1, ?, 3, ?)').run('students_1.json', at);
+  db.prepare('INSERT INTO files (name, session_id, kind) VALUES (?, 1, ?)').run('students_1.json', 'students');
+  db.prepare('INSERT INTO allocations (session_id, version, manifest_file, students_file, seed, allocator, created_at) VALUES (1, 1, ?, ?, ?, ?, ?)').run('manifest_1.json', 'students_1.json', 's', 'odd', at);
+  db.prepare('INSERT INTO meta (key, value) VALUES (?, ?)').run('uploads_imported_at', at);
+  db.close();
+}
+
+const userVersion = file => { const db = new Database(file, { readonly: true }); const v = db.pragma('user_version', { simple: true }); db.close(); return v; };
+
+test('a new database gets every migration', ()=>{
+  const dir = tempDir(), file = path.join(dir, 'data', 'new.db');
+  const store = openStore({ file, uploadDir: path.join(dir, 'uploads') });
+  assert.strictEqual(userVersion(file), MIGRATIONS.length);
+  const s = store.createSession('Fresh');
+  assert.strictEqual(store.getSession(s.id).published_version, null);
+  // opening again applies nothing twice
+  openStore({ file, uploadDir: path.join(dir, 'uploads') });
+  assert.strictEqual(userVersion(file), MIGRATIONS.length);
+});
+
+for (let version = 1; version < MIGRATIONS.length; version++){
+  test(`a version ${version} database is migrated and keeps its data`, ()=>{
+    const dir = tempDir(), file = path.join(dir, `v${version}.db`);
+    oldDatabase(file, version);
+    const store = openStore({ file, uploadDir: path.join(dir, 'uploads') });
+    assert.strictEqual(userVersion(file), MIGRATIONS.length);
+    assert.strictEqual(store.uploadsImported(), '2026-01-01T00:00:00.000Z');
+
+    const detail = store.sessionDetail(1);
+    assert.strictEqual(detail.name, 'Old exam');
+    assert.deepStrictEqual(detail.cohorts.map(c=>c.file), ['students_1.json']);
+    assert.deepStrictEqual(detail.allocations.map(a=>[a.version, a.manifest_file, a.base_version, a.invigilators_file]), [[1, 'manifest_1.json', null, null]]);
+    assert.strictEqual(store.sessionOfFile('students_1.json'), 1);
+
+    // what the later migrations added works on the upgraded database
+    store.addLocks(1, [{ day: 'single', register_number: 'KTE20CS001' }]);
+    store.addInvigilatorRoster(1, 'invigilators_1.json', 2);
+    const v2 = store.addAllocation(1, { manifestFile: 'manifest_2.json', outputs: [], studentsFile: 'students_1.json', invigilatorsFile: 'invigilators_1.json', baseVersion: 1 });
+    assert.strictEqual(v2, 2);
+    assert.strictEqual(store.publishAllocation(1, 2).published_version, 2);
+    assert.deepStrictEqual(store.publishedAllocations().map(a=>[a.session_name, a.version, a.invigilators_file]), [['Old exam', 2, 'invigilators_1.json']]);
+    assert.strictEqual(store.sessionDetail(1).locks.length, 1);
+  });
+}
+
+test('only active sessions are published, one version each', ()=>{
+  const dir = tempDir();
+  const store = openStore({ file: path.join(dir, 'p.db'), uploadDir: path.join(dir, 'uploads') });
+  const a = store.createSession('A'), b = store.createSession('B');
+  for (const s of [a, b]) for (let i = 1; i <= 2; i++) store.addAllocation(s.id, { manifestFile: `manifest_${s.id}_${i}.json`, outputs: [] });
+  store.publishAllocation(a.id, 1);
+  store.publishAllocation(a.id, 2);
+  store.publishAllocation(b.id, 1);
+  assert.deepStrictEqual(store.publishedAllocations().map(x=>[x.session_name, x.version]).sort(), [['A', 2], ['B', 1]]);
+  store.updateSession(b.id, { status: 'archived' });
+  assert.deepStrictEqual(store.publishedAllocations().map(x=>x.session_name), ['A']);
+  store.publishAllocation(a.id, null);
+  assert.deepStrictEqual(store.publishedAllocations(), []);
+  assert.strictEqual(store.getSession(a.id).published_at, null);
+});
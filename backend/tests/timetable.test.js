@@ -0,0 +1,80 @@
+// Timetable slots: one seat per student per slot, checked slot by slot; student uploads flag register clashes
+const test = require('node:test');
+const assert = require('node:assert');
+const XLSX = require('xlsx');
+const { startServer, makeStudents } = require('./helpers');
+
+const srv = startServer();
+test.after(()=>srv.close());
+
+const timetable = [
+  { date: '2026-03-02', session: 'FN', start: '09:30', end: '12:30', subjects: ['CS101', 'MA201'] },
+  { date: '2026-03-02', session: 'AN', start: '13:30', end: '16:30', subjects: ['PH301'] }
+];
+
+test('unseated students are listed per slot in the response and the audit, and replay checks them', async ()=>{
+  // 40 FN candidates (CS101 + MA201) and 20 AN candidates for one hall of 25 benches
+  const file = (await srv.api('POST', '/api/update-students', { students: makeStudents(60) })).body.file;
+  const r = await srv.api('POST', '/api/allocate', { studentsFile: file, numHalls: 1, benchesPerHall: 25, allocator: 'normal', timetable, seed: 5 });
+  assert.strictEqual(r.status, 200, JSON.stringify(r.body));
+  const fn = '2026-03-02_FN', an = '2026-03-02_AN';
+  assert.strictEqual(r.body.unseated.filter(u=>u.day === fn).length, 15);
+  assert.strictEqual(r.body.unseated.filter(u=>u.day === an).length, 0);
+  assert.strictEqual(r.body.constraintMet, false);
+
+  const audit = srv.readUpload(r.body.manifestFile).audit;
+  assert.deepStrictEqual(Object.keys(audit.unseated).sort(), [an, fn]);
+  assert.deepStrictEqual(audit.unseated[fn], r.body.unseated.map(u=>u.register_number));
+  assert.deepStrictEqual(audit.unseated[an], []);
+
+  const replay = await srv.api('POST', '/api/allocate/replay', { manifestFile: r.body.manifestFile });
+  assert.strictEqual(replay.body.identical, true);
+  assert.strictEqual(replay.body.unseated.match, true);
+});
+
+test('a student with two subjects in one slot gets one seat and a clash entry', async ()=>{
+  const students = makeStudents(12);
+  students.push({ ...students[0], subject_code: 'MA201' });   // KTE20CS001 also sits MA201, in the same FN slot
+  const file = (await srv.api('POST', '/api/update-students', { students })).body.file;
+  const r = await srv.api('POST', '/api/allocate', { studentsFile: file, numHalls: 1, benchesPerHall: 30, allocator: 'normal', timetable, seed: 5 });
+  assert.deepStrictEqual(r.body.clashes, [{ day: '2026-03-02_FN', register_number: 'KTE20CS001', subjects: ['CS101', 'MA201'], seated_for: 'CS101' }]);
+  const rows = srv.readUpload(srv.readUpload(r.body.manifestFile)['2026-03-02_FN']);
+  assert.strictEqual(rows.filter(x=>x.register_number === 'KTE20CS001').length, 1);
+  assert.deepStrictEqual(r.body.unseated, []);
+});
+
+test('a student\'s seats are listed across the schedule in date and session order', async ()=>{
+  const students = makeStudents(12);
+  students.push({ ...students[0], subject_code: 'PH301' });   // KTE20CS001 sits CS101 in the FN slot and PH301 in the AN one
+  const file = (await srv.api('POST', '/api/update-students', { students })).body.file;
+  const r = await srv.api('POST', '/api/allocate', { studentsFile: file, numHalls: 1, benchesPerHall: 30, allocator: 'normal', timetable, seed: 5 });
+  const seats = await srv.api('GET', `/api/seats/kte20cs001?manifestFile=${r.body.manifestFile}`);
+  assert.strictEqual(seats.status, 200);
+  assert.strictEqual(seats.body.register_number, 'KTE20CS001');
+  assert.deepStrictEqual(seats.body.seats.map(x=>[x.slot, x.session, x.start, x.subject_code]), [['2026-03-02_FN', 'FN', '09:30', 'CS101'], ['2026-03-02_AN', 'AN', '13:30', 'PH301']]);
+  assert.strictEqual((await srv.api('GET', `/api/seats/KTE20CS001?manifestFile=manifest_0.json`)).status, 404);
+});
+
+function sheet(rows){
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(rows), 'Students');
+  return XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+}
+
+test('a register number under two names is reported, within a file and across files', async ()=>{
+  const header = ['Reg No', 'Name', 'Subject'];
+  const fd = new FormData();
+  fd.append('students', new Blob([sheet([header, ['KTE20CS001', 'Anu', 'MA201'], ['KTE20CS001', ' anu', 'PH301'], ['KTE20CS002', 'Biju', 'MA201'], ['KTE20CS002', 'Bindu', 'PH301']])]), 'first.xlsx');
+  fd.append('students', new Blob([sheet([header, ['KTE20CS001', 'Arun', 'CS101']])]), 'second.xlsx');
+  const token = (await srv.api('POST', '/api/admin/login', { username: 'admin', password: 'secret' }, { auth: false })).body.token;
+  const res = await fetch(`${srv.url}/api/upload/students`, { method: 'POST', headers: { Authorization: `Bearer ${token}` }, body: fd });
+  const body = await res.json();
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(body.summary, { register_name_mismatch: 2 });
+  const [first, second] = body.report.map(f=>f.issues);
+  // the same name in another case or spacing is not a clash
+  assert.deepStrictEqual(first, [{ row: 5, type: 'register_name_mismatch', register_number: 'KTE20CS002', student_name: 'Bindu', other_name: 'Biju', conflicts_with_row: 4 }]);
+  assert.deepStrictEqual(second, [{ row: 2, type: 'register_name_mismatch', register_number: 'KTE20CS001', student_name: 'Arun', other_name: 'Anu', conflicts_with_row: 2, conflicts_with_file: 'first.xlsx' }]);
+  // rows are kept: it is a warning, not a correction
+  assert.strictEqual(body.count, 5);
+});
@@ -0,0 +1,49 @@
+// Capacity shortfall: students the halls have no seat for are reported, never dropped silently
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, makeStudents } = require('./helpers');
+
+const srv = startServer();
+test.after(()=>srv.close());
+
+test('every allocator reports who did not get a seat', async ()=>{
+  const students = makeStudents(43);
+  const file = (await srv.api('POST', '/api/update-students', { students })).body.file;
+  // one hall of 21 single-seat benches: 'normal' fills them all, 'odd' every other one
+  for (const [allocator, seats] of [['normal', 21], ['odd', 11], ['optimize', 21]]) for (const adjacency of ['none', 'orthogonal']){
+    const label = `${allocator}/${adjacency}`;
+    const r = await srv.api('POST', '/api/allocate', { studentsFile: file, numHalls: 1, benchesPerHall: 21, allocator, adjacency, seed: 1 });
+    assert.strictEqual(r.status, 200, label);
+    const manifest = srv.readUpload(r.body.manifestFile);
+    const seated = srv.readUpload(manifest.single).filter(row=>row.register_number).map(row=>row.register_number);
+    assert.strictEqual(seated.length, seats, label);
+    assert.strictEqual(r.body.unseated.length, students.length - seats, label);
+    assert.strictEqual(r.body.constraintMet, false, label);
+    assert.deepStrictEqual(manifest.unseated, r.body.unseated, label);
+    // together, seated and unseated are the whole cohort, once each
+    const all = seated.concat(r.body.unseated.map(u=>u.register_number)).sort();
+    assert.deepStrictEqual(all, students.map(s=>s.register_number), label);
+    assert.ok(r.body.unseated.every(u=>u.day === 'single' && u.student_name && u.subject_code), label);
+  }
+});
+
+test('with room for everyone nothing is reported', async ()=>{
+  const file = (await srv.api('POST', '/api/update-students', { students: makeStudents(40) })).body.file;
+  const r = await srv.api('POST', '/api/allocate', { studentsFile: file, numHalls: 2, benchesPerHall: 40, allocator: 'odd', seed: 1 });
+  assert.deepStrictEqual(r.body.unseated, []);
+  assert.strictEqual(r.body.constraintMet, true);
+  assert.strictEqual(srv.readUpload(r.body.manifestFile).unseated, undefined);
+});
+
+test('students with accommodations are counted too', async ()=>{
+  const students = makeStudents(30);
+  students[0].accommodations = ['front_row'];
+  students[1].accommodations = ['aisle'];
+  const file = (await srv.api('POST', '/api/update-students', { students })).body.file;
+  const r = await srv.api('POST', '/api/allocate', { studentsFile: file, numHalls: 1, benchesPerHall: 20, allocator: 'normal', adjacency: 'none', seed: 3 });
+  assert.strictEqual(r.body.unseated.length, 10);
+  const unseated = new Set(r.body.unseated.map(u=>u.register_number));
+  // accommodated students are placed first, so they are never the ones left over
+  assert.ok(!unseated.has(students[0].register_number));
+  assert.ok(!unseated.has(students[1].register_number));
+});
@@ -0,0 +1,68 @@
+// Spreadsheet uploads: an accepted upload keeps its source file with the session, a rejected one leaves nothing behind
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const XLSX = require('xlsx');
+const { startServer } = require('./helpers');
+
+const srv = startServer();
+test.after(()=>srv.close());
+
+function sheet(rows){
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(rows), 'Sheet1');
+  return XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+}
+
+async function upload(route, field, rows, fields={}){
+  const fd = new FormData();
+  for (const [k, v] of Object.entries(fields)) fd.append(k, v);
+  fd.append(field, new Blob([sheet(rows)]), 'list.xlsx');
+  const token = (await srv.api('POST', '/api/admin/login', { username: 'admin', password: 'secret' }, { auth: false })).body.token;
+  const res = await fetch(`${srv.url}${route}`, { method: 'POST', headers: { Authorization: `Bearer ${token}` }, body: fd });
+  return { status: res.status, body: await res.json() };
+}
+
+const students = [['Reg No', 'Name', 'Subject'], ['KTE20CS001', 'Anu', 'CS101'], ['KTE20CS001', 'Anu', 'CS101']];
+const uploads = () => fs.readdirSync(process.env.UPLOAD_DIR).sort();
+
+test('rejected uploads are removed from uploads/', async ()=>{
+  const rejected = [
+    await upload('/api/upload/students', 'students', students, { strict: 'true' }),
+    await upload('/api/upload/students', 'students', students, { registerPattern: '(' }),
+    await upload('/api/upload/students', 'students', students, { sessionId: '999' }),
+    await upload('/api/upload/students', 'students', students, { profile: 'missing' }),
+    await upload('/api/upload/halls', 'hallList', [['Hall', 'Benches'], ['A', 10]], { sessionId: '999' }),
+    await upload('/api/upload/invigilators', 'invigilators', [['Notes'], ['']]),
+    await upload('/api/upload/invigilators', 'invigilators', [['Staff ID', 'Name'], ['T1', 'Asha']], { sessionId: '999' })
+  ];
+  assert.deepStrictEqual(rejected.map(r=>r.status), [422, 400, 404, 400, 404, 422, 404]);
+  assert.deepStrictEqual(uploads(), []);
+});
+
+test('an accepted upload keeps its source file with the session', async ()=>{
+  const r = await upload('/api/upload/students', 'students', students);
+  assert.strictEqual(r.status, 200);
+  // the saved list and the spreadsheet it came from, both recorded against the session
+  const [source, saved] = uploads();
+  assert.match(source, /_list\.xlsx$/);
+  assert.strictEqual(saved, r.body.file);
+  assert.strictEqual((await srv.api('GET', `/api/sessions/${r.body.sessionId}`)).body.session.files, 2);
+});
+
+test('a register and subject repeated in another file of the upload is dropped and reported', async ()=>{
+  const header = ['Reg No', 'Name', 'Subject'];
+  const fd = new FormData();
+  fd.append('students', new Blob([sheet([header, ['KTE20CS001', 'Anu', 'CS101'], ['KTE20CS002', 'Biju', 'CS101']])]), 'first.xlsx');
+  fd.append('students', new Blob([sheet([header, ['KTE20CS003', 'Cini', 'CS101'], ['KTE20CS001', 'Anu', 'CS101'], ['KTE20CS001', 'Anu', 'MA201']])]), 'second.xlsx');
+  const token = (await srv.api('POST', '/api/admin/login', { username: 'admin', password: 'secret' }, { auth: false })).body.token;
+  const res = await fetch(`${srv.url}/api/upload/students`, { method: 'POST', headers: { Authorization: `Bearer ${token}` }, body: fd });
+  const body = await res.json();
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(body.summary, { duplicate_dropped: 1 });
+  const [first, second] = body.report.map(f=>f.issues);
+  assert.deepStrictEqual(first, []);
+  assert.deepStrictEqual(second, [{ row: 3, type: 'duplicate_dropped', register_number: 'KTE20CS001', subject_code: 'CS101', conflicts_with_row: 2, conflicts_with_file: 'first.xlsx' }]);
+  // the same register in another subject is a second enrolment, not a duplicate
+  assert.strictEqual(body.count, 4);
+});
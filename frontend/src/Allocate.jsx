@@ -0,0 +1,83 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { API, client, errorOf } from './api';
+
+const SLOT = { date:'', session:'FN', start:'', end:'', subjects:'' };
+const subjectsOf = s => String(s || '').split(/[,\s]+/).map(x=>x.trim().toUpperCase()).filter(Boolean);
+
+// Allocator and day configuration, run as a background job with live progress (SSE); the finished job's result
+// (new version, violations, clashes, duty shortfall) is handed up
+export default function Allocate({ token, sessionId, studentsFile, hallsFile, invigilatorsFile, onAllocated }){
+  const [cfg,setCfg]=useState({ allocator:'odd', adjacency:'orthogonal', seed:'', numHalls:4, benchesPerHall:30, institution:'', exam:'', deterministicTime:30, studentsPerInvigilator:30, minPerHall:1 });
+  const [mode,setMode]=useState('single'), [slots,setSlots]=useState([{ ...SLOT }]), [days,setDays]=useState([{ day:'Day1', subjects:'' }]);
+  const [job,setJob]=useState(null), [result,setResult]=useState(null), [status,setStatus]=useState('');
+  const events = useRef(null);
+  useEffect(()=>()=>events.current && events.current.close(), []);
+  const set = (k, v) => setCfg({ ...cfg, [k]: v });
+  function params(){
+    const p = { sessionId, studentsFile, allocator: cfg.allocator, adjacency: cfg.adjacency, header: { institution: cfg.institution, exam: cfg.exam } };
+    if (String(cfg.seed).trim()) p.seed = String(cfg.seed).trim();
+    if (hallsFile) p.hallsFile = hallsFile; else { p.numHalls = parseInt(cfg.numHalls, 10); p.benchesPerHall = parseInt(cfg.benchesPerHall, 10); }
+    if (cfg.allocator === 'optimize') p.optimizer = { deterministicTime: Number(cfg.deterministicTime) };
+    if (invigilatorsFile){ p.invigilatorsFile = invigilatorsFile; p.duty = { studentsPerInvigilator: cfg.studentsPerInvigilator, minPerHall: cfg.minPerHall }; }
+    else p.invigilatorsFile = null;
+    if (mode === 'timetable') p.timetable = slots.map(s=>({ date: s.date, session: s.session, start: s.start || undefined, end: s.end || undefined, subjects: subjectsOf(s.subjects) }));
+    if (mode === 'days') p.days = days.map(d=>({ day: d.day, subjects: subjectsOf(d.subjects) }));
+    return p;
+  }
+  async function run(){
+    if (!studentsFile) return setStatus('upload a student list first');
+    setResult(null); setStatus('');
+    try {
+      const r = await client(token).post('/api/jobs', { type:'allocate', ...params() });
+      setJob(r.data.job);
+      const es = new EventSource(`${API}/api/jobs/${r.data.job.id}/events?token=${encodeURIComponent(token)}`);
+      events.current = es;
+      es.addEventListener('progress', e=>setJob(JSON.parse(e.data)));
+      es.addEventListener('done', e=>{ const j = JSON.parse(e.data); es.close(); setJob(j);
+        if (j.status === 'succeeded'){ setResult(j.result); onAllocated(j.result); } else setStatus(`allocation ${j.status}: ${j.error}`); });
+      es.onerror = ()=>{ es.close(); setStatus('lost the progress stream; the job keeps running on the server'); };
+    } catch(e){ setStatus(errorOf(e).error); }
+  }
+  async function cancel(){ try { await client(token).post(`/api/jobs/${job.id}/cancel`); } catch(e){ setStatus(errorOf(e).error); } }
+  const running = job && (job.status === 'queued' || job.status === 'running');
+  const p = job && job.progress;
+  return (<section><h3>4. Allocate</h3>
+  <div className='row'>
+    <label>allocator <select value={cfg.allocator} onChange={e=>set('allocator', e.target.value)}><option value='odd'>odd (every other bench)</option><option value='normal'>normal (every bench)</option><option value='optimize'>optimize (CP-SAT)</option></select></label>
+    <label>adjacency <select value={cfg.adjacency} onChange={e=>set('adjacency', e.target.value)}><option value='none'>none</option><option value='orthogonal'>orthogonal</option><option value='diagonal'>diagonal</option></select></label>
+    <label>seed <input value={cfg.seed} placeholder='random' onChange={e=>set('seed', e.target.value)} style={{ width:90 }} /></label>
+    {cfg.allocator === 'optimize' && <label>solver budget <input type='number' min='1' max='600' value={cfg.deterministicTime} onChange={e=>set('deterministicTime', e.target.value)} style={{ width:60 }} /></label>}
+    {!hallsFile && <><label>halls <input type='number' min='1' value={cfg.numHalls} onChange={e=>set('numHalls', e.target.value)} style={{ width:50 }} /></label><label>benches per hall <input type='number' min='1' value={cfg.benchesPerHall} onChange={e=>set('benchesPerHall', e.target.value)} style={{ width:60 }} /></label></>}
+  </div>
+  <div className='row'><label>institution <input value={cfg.institution} onChange={e=>set('institution', e.target.value)} /></label><label>exam <input value={cfg.exam} onChange={e=>set('exam', e.target.value)} /></label>
+    {invigilatorsFile && <><label>students per invigilator <input type='number' min='1' value={cfg.studentsPerInvigilator} onChange={e=>set('studentsPerInvigilator', e.target.value)} style={{ width:50 }} /></label><label>min per hall <input type='number' min='0' value={cfg.minPerHall} onChange={e=>set('minPerHall', e.target.value)} style={{ width:40 }} /></label></>}</div>
+  <div className='row'>{[['single','one sitting'], ['days','days'], ['timetable','timetable (date + FN/AN)']].map(([m,l])=><label key={m}><input type='radio' checked={mode===m} onChange={()=>setMode(m)} /> {l}</label>)}</div>
+  {mode === 'days' && <table className='report'><thead><tr><th>Day</th><th>Subjects (empty = everyone)</th><th></th></tr></thead><tbody>
+    {days.map((d,i)=><tr key={i}><td><input value={d.day} onChange={e=>setDays(days.map((x,k)=>k===i ? { ...x, day:e.target.value } : x))} /></td><td><input value={d.subjects} onChange={e=>setDays(days.map((x,k)=>k===i ? { ...x, subjects:e.target.value } : x))} /></td><td><button onClick={()=>setDays(days.filter((_,k)=>k!==i))}>✕</button></td></tr>)}
+    <tr><td colSpan='3'><button onClick={()=>setDays(days.concat({ day:`Day${days.length+1}`, subjects:'' }))}>Add day</button></td></tr></tbody></table>}
+  {mode === 'timetable' && <table className='report'><thead><tr><th>Date</th><th>Session</th><th>Start</th><th>End</th><th>Subjects</th><th></th></tr></thead><tbody>
+    {slots.map((s,i)=>{ const edit = (k, v) => setSlots(slots.map((x,j)=>j===i ? { ...x, [k]: v } : x)); return <tr key={i}><td><input type='date' value={s.date} onChange={e=>edit('date', e.target.value)} /></td>
+      <td><select value={s.session} onChange={e=>edit('session', e.target.value)}><option>FN</option><option>AN</option></select></td><td><input type='time' value={s.start} onChange={e=>edit('start', e.target.value)} /></td><td><input type='time' value={s.end} onChange={e=>edit('end', e.target.value)} /></td>
+      <td><input value={s.subjects} placeholder='CS101, MA201' onChange={e=>edit('subjects', e.target.value)} /></td><td><button onClick={()=>setSlots(slots.filter((_,j)=>j!==i))}>✕</button></td></tr>; })}
+    <tr><td colSpan='6'><button onClick={()=>setSlots(slots.concat({ ...SLOT }))}>Add slot</button></td></tr></tbody></table>}
+  <div className='row'><button disabled={running} onClick={run}>Allocate</button>{running && <button onClick={cancel}>Cancel</button>}
+    {job && <span>job {job.status}{p ? ` · ${p.stage} ${p.done}/${p.total}${p.slot ? ` (${p.slot})` : ''}` : ''}</span>}
+    {p && running && <progress max={p.total || 1} value={p.done} />}</div>
+  {status && <div className='status'>{status}</div>}
+  {result && <AllocationSummary result={result} />}
+  </section>);
+}
+
+function AllocationSummary({ result }){
+  const list = (title, items, fmt) => items && items.length > 0 && <details><summary>{title}: {items.length}</summary><ul>{items.slice(0, 200).map((x,i)=><li key={i}>{fmt(x)}</li>)}</ul></details>;
+  return (<div className='panel'><div className='row'><span className='chip ok'>version {result.version}</span><span className='chip'>seed {result.seed}</span><span className='chip'>{result.days} day(s)</span>
+    <span className={`chip ${result.violations.length ? 'warn' : 'ok'}`}>{result.violations.length ? `adjacency violations in ${result.violatedHalls.join(', ')}` : 'no adjacent same-subject pairs'}</span>
+    {(result.unseated || []).length > 0 && <span className='chip warn'>{result.unseated.length} student(s) without a seat</span>}</div>
+    {list('Without a seat (not enough seats)', result.unseated, u=>`${u.day} ${u.register_number} ${u.student_name || ''} (${u.subject_code})`)}
+    {list('Adjacency violations', result.violations, v=>`${v.day} ${v.hall_id} bench ${v.bench_number}/${v.seat}: ${v.register_number} (${v.subject_code}) next to bench ${v.conflicts_with.map(c=>`${c.bench_number}/${c.seat}`).join(', ')}`)}
+    {list('Unmet accommodations', result.unmetAccommodations, u=>`${u.day} ${u.register_number}: ${u.accommodations.join(', ')} — missing ${(u.missing || []).join(', ')}${u.placed ? ` (seated in ${u.placed.hall_id})` : ' (not seated)'}`)}
+    {list('Timetable clashes', result.clashes, c=>`${c.day} ${c.register_number}: ${c.subjects.join(', ')} (seated for ${c.seated_for})`)}
+    {list('Locks dropped', result.droppedLocks, l=>`${l.day} ${l.register_number || ''} ${l.hall_id} bench ${l.bench_number}/${l.seat || 1}`)}
+    {result.duties && list('Unfilled invigilation posts', result.duties.shortfall, s=>`${s.day} ${s.hall_id}: ${s.assigned} of ${s.needed}`)}
+  </div>);
+}
@@ -1,14 +1,95 @@
-import React, { useState } from 'react';
-import axios from 'axios';
-const API = import.meta.env.VITE_API_URL || 'http://localhost:4000';
+import React, { useState, useEffect } from 'react';
+import { client, errorOf, readUpload } from './api';
+import SeatLookup from './SeatLookup';
+import Upload from './Upload';
+import StudentEditor from './StudentEditor';
+import HallSetup from './HallSetup';
+import Allocate from './Allocate';
+import SeatingGrid from './SeatingGrid';
+import Downloads from './Downloads';
+function useHash(){ const [hash,setHash]=useState(window.location.hash); useEffect(()=>{ const f=()=>setHash(window.location.hash); window.addEventListener('hashchange', f); return ()=>window.removeEventListener('hashchange', f); }, []); return hash; }
+
+// Admin workflow: login -> exam session -> upload -> edit students -> halls -> allocate -> seating grid -> downloads.
+// The session keeps the current files (latest cohort / halls / roster) and allocation versions on the server.
 export default function App(){
-  const [studentsFiles, setStudentsFiles] = useState([]), [hallFile,setHallFile]=useState(null);
-  const [status,setStatus]=useState(''); const [allocation,setAllocation]=useState(null);
-  async function uploadStudents(){ if(!studentsFiles.length) return alert('pick files'); const fd=new FormData(); studentsFiles.forEach(f=>fd.append('students',f)); setStatus('uploading'); const r=await axios.post(`${API}/api/upload/students`, fd); setStatus(r.data.ok? 'uploaded':'error'); }
-  async function uploadHalls(){ if(!hallFile) return alert('pick hall file'); const fd=new FormData(); fd.append('hallList', hallFile); const r=await axios.post(`${API}/api/upload/halls`, fd); setStatus(r.data.ok? 'halls uploaded':'error'); }
-  async function allocate(){ setStatus('allocating'); /* simplified: user should call allocate with studentsFile id returned previously */ alert('Use polished UI to allocate. This is a scaffold.'); }
-  return (<div><h2>ExamSeater — Enhanced (Scaffold)</h2>
-  <div><input type='file' multiple onChange={e=>setStudentsFiles(Array.from(e.target.files))} /> <button onClick={uploadStudents}>Upload Students</button></div>
-  <div><input type='file' onChange={e=>setHallFile(e.target.files[0])} /> <button onClick={uploadHalls}>Upload Halls</button></div>
-  <div>Status: {status}</div></div>); 
+  const hash = useHash();
+  const [creds,setCreds]=useState({ username:'', password:'' });
+  const [auth,setAuth]=useState(()=>JSON.parse(sessionStorage.getItem('examseater.auth') || 'null'));
+  const [status,setStatus]=useState('');
+  const [sessions,setSessions]=useState([]), [session,setSession]=useState(null);
+  const [files,setFiles]=useState({ students:null, halls:null, roster:null });
+  const [version,setVersion]=useState(null), [allocation,setAllocation]=useState(null), [halls,setHalls]=useState([]);
+  const token = auth && auth.token;
+
+  useEffect(()=>{ if (auth) sessionStorage.setItem('examseater.auth', JSON.stringify(auth)); else sessionStorage.removeItem('examseater.auth'); }, [auth]);
+  useEffect(()=>{ if (token && auth.role === 'admin') refreshSessions(); }, [token]);
+  // the shown version: its manifest, every day's rows and the hall definitions it was allocated on
+  useEffect(()=>{
+    if (!token || !session || !version) return setAllocation(null);
+    let stale = false;
+    (async ()=>{
+      try {
+        const r = await client(token).get('/api/roster', { params: { sessionId: session.id, version } });
+        const manifest = await readUpload(token, r.data.manifestFile);
+        const hallsFile = manifest.audit && manifest.audit.inputs.halls && manifest.audit.inputs.halls.file;
+        const defs = hallsFile ? await readUpload(token, hallsFile) : [];
+        if (!stale){ setAllocation({ version, manifestFile: r.data.manifestFile, manifest, days: r.data.days }); setHalls(defs); }
+      } catch(e){ if (!stale) setStatus(errorOf(e).error); }
+    })();
+    return ()=>{ stale = true; };
+  }, [token, session && session.id, version]);
+
+  async function login(e){
+    e.preventDefault();
+    try { const r=await client().post('/api/admin/login', creds); setAuth({ token: r.data.token, role: r.data.role, username: creds.username }); setStatus(''); }
+    catch(err){ setStatus(err.response && err.response.status === 401 ? 'wrong username or password' : errorOf(err).error); }
+  }
+  function logout(){ setAuth(null); setSession(null); setSessions([]); setFiles({ students:null, halls:null, roster:null }); setVersion(null); }
+  async function refreshSessions(){
+    try { setSessions((await client(token).get('/api/sessions', { params: { status:'active' } })).data.sessions); }
+    catch(e){ if (e.response && e.response.status === 401) logout(); setStatus(errorOf(e).error); }
+  }
+  // load a session and take its latest inputs and version; keep=true leaves the current picks alone
+  async function openSession(id, keep){
+    if (!id){ setSession(null); setFiles({ students:null, halls:null, roster:null }); setVersion(null); return; }
+    try {
+      const s = (await client(token).get(`/api/sessions/${id}`)).data.session;
+      setSession(s);
+      if (!keep){
+        const latest = list => list.length ? list[0].file : null;
+        setFiles({ students: latest(s.cohorts), halls: latest(s.hall_inventories), roster: latest(s.invigilator_rosters) });
+        setVersion(s.allocations.length ? s.allocations[0].version : null);
+      }
+      refreshSessions();
+    } catch(e){ setStatus(errorOf(e).error); }
+  }
+  // uploads create a session when none is open; the file they return becomes the current one
+  const uploaded = kind => file => setFiles(f=>({ ...f, [kind]: file }));
+  const onSession = id => { if (!session || session.id !== id) openSession(id, true); };
+  async function newSession(){
+    const name = window.prompt('Name of the exam session');
+    if (!name) return;
+    try { const r=await client(token).post('/api/sessions', { name }); openSession(r.data.session.id); }
+    catch(e){ setStatus(errorOf(e).error); }
+  }
+
+  if (hash === '#/lookup') return <SeatLookup/>;
+  if (!auth) return (<div className='app'><h2>ExamSeater</h2>
+    <form className='row' onSubmit={login}><input placeholder='username' value={creds.username} onChange={e=>setCreds({...creds, username:e.target.value})} /> <input type='password' placeholder='password' value={creds.password} onChange={e=>setCreds({...creds, password:e.target.value})} /> <button>Login</button></form>
+    {status && <div className='status'>{status}</div>}<p><a href='#/lookup'>Students: find your exam seat</a></p></div>);
+  if (auth.role !== 'admin') return (<div className='app'><h2>ExamSeater</h2><p>Signed in as invigilator {auth.username}. Hall rosters for invigilators are served by <code>/api/roster</code>; this console is for administrators.</p><button onClick={logout}>Log out</button></div>);
+  return (<div className='app'>
+  <header className='row'><h2>ExamSeater</h2>
+    <select value={session ? session.id : ''} onChange={e=>openSession(parseInt(e.target.value, 10) || null)}><option value=''>— new session on first upload —</option>{sessions.map(s=><option key={s.id} value={s.id}>{s.name}{s.latest_version ? ` (v${s.latest_version})` : ''}</option>)}</select>
+    <button onClick={newSession}>New session</button>
+    {session && session.allocations.length > 0 && <select value={version || ''} onChange={e=>setVersion(parseInt(e.target.value, 10))}>{session.allocations.map(a=><option key={a.version} value={a.version}>version {a.version}{a.base_version ? ` (edit of ${a.base_version})` : ''}{a.version===session.published_version ? ' · published' : ''}</option>)}</select>}
+    <span className='grow' /><span>{auth.username}</span> <a href='#/lookup'>seat lookup</a> <button onClick={logout}>Log out</button></header>
+  {status && <div className='status' onClick={()=>setStatus('')}>{status}</div>}
+  <Upload token={token} sessionId={session && session.id} onSession={onSession} onStudents={uploaded('students')} onRoster={uploaded('roster')} />
+  <StudentEditor token={token} sessionId={session && session.id} onSession={onSession} file={files.students} onSaved={uploaded('students')} />
+  <HallSetup token={token} sessionId={session && session.id} onSession={onSession} hallsFile={files.halls} onHalls={uploaded('halls')} />
+  <Allocate token={token} sessionId={session && session.id} studentsFile={files.students} hallsFile={files.halls} invigilatorsFile={files.roster} onAllocated={r=>{ setVersion(r.version); openSession(r.sessionId, true); }} />
+  <SeatingGrid token={token} sessionId={session && session.id} allocation={allocation} halls={halls} onEdited={v=>{ setVersion(v); openSession(session.id, true); }} />
+  <Downloads token={token} session={session} allocation={allocation} onPublished={s=>setSession({ ...session, ...s })} />
+  </div>);
 }
@@ -0,0 +1,29 @@
+import React, { useState } from 'react';
+import { client, errorOf, downloadUpload } from './api';
+
+const DAY_FILES = [['', 'JSON'], ['_xlsx', 'Excel (rosters + _viz grids)'], ['_seating_pdf', 'Seating charts'], ['_door_pdf', 'Door notice'], ['_attendance_pdf', 'Attendance sheets']];
+const DUTY_FILES = [['duties', 'JSON'], ['duties_xlsx', 'Excel'], ['duties_pdf', 'PDF']];
+
+// Links to every output of the shown version, and publishing it for the student seat lookup
+export default function Downloads({ token, session, allocation, onPublished }){
+  const [status,setStatus]=useState('');
+  if (!allocation) return null;
+  const { manifest, manifestFile, version } = allocation;
+  const link = (name, label) => name ? <a key={name} href='#' title={name} onClick={e=>{ e.preventDefault(); downloadUpload(token, name).catch(err=>setStatus(errorOf(err).error)); }}>{label}</a> : null;
+  const published = session && session.published_version;
+  async function publish(on){
+    try { const c = client(token); const r = on ? await c.post(`/api/sessions/${session.id}/publish`, { version }) : await c.delete(`/api/sessions/${session.id}/publish`); setStatus(''); onPublished(r.data.session); }
+    catch(e){ setStatus(errorOf(e).error); }
+  }
+  return (<section><h3>6. Downloads <small>version {version}</small></h3>
+  <table className='report'><tbody>
+    {Object.keys(allocation.days).map(k=><tr key={k}><th>{k}</th><td className='links'>{DAY_FILES.map(([suffix, label])=>link(manifest[`${k}${suffix}`], label))}</td></tr>)}
+    {manifest.duties && <tr><th>Invigilation duties</th><td className='links'>{DUTY_FILES.map(([key, label])=>link(manifest[key], label))}</td></tr>}
+    <tr><th>Manifest</th><td className='links'>{link(manifestFile, manifestFile)}</td></tr>
+  </tbody></table>
+  {session && <div className='row'>{published ? <span className='chip ok'>version {published} is published for the student seat lookup</span> : <span className='chip'>not published</span>}
+    {published !== version && <button onClick={()=>publish(true)}>Publish version {version}</button>}{published && <button onClick={()=>publish(false)}>Unpublish</button>}
+    <a href='#/lookup'>student lookup page</a></div>}
+  {status && <div className='status'>{status}</div>}
+  </section>);
+}
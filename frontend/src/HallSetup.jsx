@@ -0,0 +1,50 @@
+import React, { useState, useEffect } from 'react';
+import { client, errorOf, readUpload } from './api';
+import { hallCells } from './hallGrid';
+
+// Hall list upload, a grid preview per hall, and floor-plan detection saved into the session's halls file
+export default function HallSetup({ token, sessionId, onSession, hallsFile, onHalls }){
+  const [file,setFile]=useState(null), [defaultBenches,setDefaultBenches]=useState(30);
+  const [halls,setHalls]=useState([]), [selected,setSelected]=useState(null), [status,setStatus]=useState('');
+  const [plan,setPlan]=useState(null), [detected,setDetected]=useState(null), [front,setFront]=useState('top');
+  useEffect(()=>{ if (!hallsFile) return setHalls([]); readUpload(token, hallsFile).then(h=>{ setHalls(h); setSelected(s=>h.some(x=>x.hall_id===s) ? s : (h[0] || {}).hall_id); }).catch(e=>setStatus(errorOf(e).error)); }, [token, hallsFile]);
+  async function upload(){
+    if (!file) return setStatus('pick the hall list');
+    const fd=new FormData(); fd.append('hallList', file); fd.append('defaultBenches', defaultBenches); if (sessionId) fd.append('sessionId', sessionId);
+    try { const r=await client(token).post('/api/upload/halls', fd); setStatus(`${r.data.count} halls saved as ${r.data.file}`); onSession(r.data.sessionId); onHalls(r.data.file); }
+    catch(e){ setStatus(errorOf(e).error); }
+  }
+  async function analyze(){
+    if (!plan) return setStatus('pick a floor plan (PNG, JPEG, SVG or DXF)');
+    const fd=new FormData(); fd.append('blueprint', plan); fd.append('front', front);
+    try { const r=await client(token).post('/api/blueprint/analyze', fd); if (!r.data.hall) return setStatus(`no bench grid detected (confidence ${r.data.confidence})`); setDetected({ ...r.data.hall, layoutText: r.data.hall.layout.join('\n'), confidence: r.data.confidence }); setStatus(''); }
+    catch(e){ setStatus(errorOf(e).error); }
+  }
+  async function saveDetected(){
+    const hall = { hall_id: detected.hall_id, layout: detected.layoutText.split('\n'), seats_per_bench: detected.seats_per_bench, tags: detected.tags };
+    try { const r=await client(token).post('/api/blueprint/save', { hallsFile, sessionId, hall }); setDetected(null); setStatus(`hall ${r.data.hall.hall_id} saved into ${r.data.file}`); onSession(r.data.sessionId); onHalls(r.data.file); setSelected(r.data.hall.hall_id); }
+    catch(e){ setStatus(errorOf(e).error); }
+  }
+  const hall = halls.find(h=>h.hall_id===selected);
+  return (<section><h3>3. Halls {hallsFile && <small>{hallsFile}</small>}</h3>
+  <div className='row'><input type='file' accept='.xlsx,.xls,.csv' onChange={e=>setFile(e.target.files[0])} /> <label>default benches <input type='number' min='1' value={defaultBenches} onChange={e=>setDefaultBenches(e.target.value)} style={{ width:60 }} /></label> <button onClick={upload}>Upload halls</button></div>
+  <div className='row'><input type='file' accept='.png,.jpg,.jpeg,.svg,.dxf' onChange={e=>setPlan(e.target.files[0])} /> <select value={front} onChange={e=>setFront(e.target.value)}><option value='top'>front at top</option><option value='bottom'>front at bottom</option></select> <button onClick={analyze}>Detect benches from floor plan</button></div>
+  {status && <div className='status'>{status}</div>}
+  {detected && <div className='panel'><div className='row'><label>Hall id <input value={detected.hall_id} onChange={e=>setDetected({...detected, hall_id:e.target.value})} /></label> <span>confidence {detected.confidence}</span>
+      <label>seats per bench <input type='number' min='1' value={detected.seats_per_bench || 1} onChange={e=>setDetected({...detected, seats_per_bench:e.target.value})} style={{ width:50 }} /></label></div>
+    <div className='row'><textarea rows={Math.min(20, detected.layoutText.split('\n').length + 1)} cols={40} className='mono' value={detected.layoutText} onChange={e=>setDetected({...detected, layoutText:e.target.value.toUpperCase()})} />
+      <HallPreview hall={{ ...detected, layout: detected.layoutText.split('\n') }} /></div>
+    <small>B bench, 1-9 bench with that many seats, P pillar, . gap</small> <button onClick={saveDetected}>Save hall{hallsFile ? ' into the hall list' : ''}</button> <button onClick={()=>setDetected(null)}>Discard</button></div>}
+  {halls.length > 0 && <div className='row top'><ul className='halls'>{halls.map(h=>{ const g = hallCells(h); const seats = g.cells.reduce((n,c)=>n + (c.seats || 0), 0); return <li key={h.hall_id} className={h.hall_id===selected ? 'sel' : ''} onClick={()=>setSelected(h.hall_id)}><b>{h.hall_id}</b> {g.cells.filter(c=>c.bench).length} benches, {seats} seats, {g.rows}×{g.cols}{(h.tags || []).length ? ` · ${[].concat(h.tags).join(', ')}` : ''}</li>; })}</ul>
+    {hall && <HallPreview hall={hall} />}</div>}
+  </section>);
+}
+
+export function HallPreview({ hall }){
+  const { rows, cols, cells } = hallCells(hall);
+  if (!rows || !cols) return null;
+  const at = new Map(cells.map(c=>[`${c.row}:${c.col}`, c]));
+  return (<div><div className='front'>front</div><div className='grid' style={{ gridTemplateColumns: `repeat(${cols}, 34px)` }}>
+    {Array.from({ length: rows*cols }, (_, i)=>{ const c = at.get(`${Math.floor(i/cols)+1}:${(i%cols)+1}`); return <div key={i} className={`cell ${!c ? 'gap' : c.pillar ? 'pillar' : 'bench'}`} title={c && c.bench ? `bench ${c.bench}, ${c.seats} seat(s)` : ''}>{c && c.bench ? c.bench : ''}{c && c.seats > 1 ? <sup>{c.seats}</sup> : ''}</div>; })}
+  </div></div>);
+}
@@ -0,0 +1,29 @@
+import React, { useState } from 'react';
+import { client, errorOf } from './api';
+
+// Public page (#/lookup): a student finds their own hall and bench for every published exam day
+export default function SeatLookup(){
+  const [form,setForm]=useState({ register_number:'', dob:'' });
+  const [result,setResult]=useState(null), [error,setError]=useState(''), [busy,setBusy]=useState(false);
+  async function lookup(e){
+    e.preventDefault(); setBusy(true); setError(''); setResult(null);
+    try { const r=await client().post('/api/lookup', form); setResult(r.data); }
+    catch(err){ setError(err.response ? errorOf(err).error : 'lookup failed; try again'); }
+    finally { setBusy(false); }
+  }
+  return (<div className='lookup'><h2>Find your exam seat</h2>
+  <form onSubmit={lookup}>
+    <label>Register number <input required value={form.register_number} onChange={e=>setForm({...form, register_number:e.target.value})} /></label>
+    <label>Date of birth <input required type='date' value={form.dob} onChange={e=>setForm({...form, dob:e.target.value})} /></label>
+    <button disabled={busy}>{busy ? 'Looking up…' : 'Find my seat'}</button>
+  </form>
+  {error && <div className='error'>{error}</div>}
+  {result && <div><h3>{result.student_name} ({result.register_number})</h3>
+    {result.exams.map(x=>(<div key={x.exam}><h4>{x.exam}</h4>
+      {x.seats.length ? <table><thead><tr><th>Date</th><th>Session</th><th>Time</th><th>Subject</th><th>Hall</th><th>Bench</th><th>Row / Col</th></tr></thead>
+        <tbody>{x.seats.map(s=>(<tr key={s.slot}><td>{s.date || s.slot}</td><td>{s.session || ''}</td><td>{s.start ? `${s.start}${s.end ? `–${s.end}` : ''}` : ''}</td><td>{s.subject_code}</td><td>{s.hall_id}</td><td>{s.seat > 1 ? `${s.bench_number} / seat ${s.seat}` : s.bench_number}</td><td>{s.row ? `${s.row} / ${s.col}` : ''}</td></tr>))}</tbody></table>
+        : <p>No seat allocated for you in this exam.</p>}
+    </div>))}
+  </div>}
+  </div>);
+}
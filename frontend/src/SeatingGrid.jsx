@@ -0,0 +1,67 @@
+import React, { useState, useEffect } from 'react';
+import { client, errorOf } from './api';
+import { vizGrid } from './hallGrid';
+
+const seatRef = r => ({ hall_id: r.hall_id, bench_number: r.bench_number, seat: r.seat || 1 });
+const same = (a, b) => a && b && a.hall_id===b.hall_id && a.bench_number===b.bench_number && (a.seat || 1)===(b.seat || 1);
+// a stable pastel per subject so a hall's mix is visible at a glance
+function subjectColour(code){ let h = 0; for (const ch of String(code)) h = (h*31 + ch.charCodeAt(0)) % 360; return `hsl(${h}, 70%, 85%)`; }
+
+// Per-hall seating grid of one day, laid out like the XLSX _viz sheet (front row at the top, a column per seat).
+// Click a seat, then another, to swap them (either may be empty); the edit is saved as the session's next version.
+export default function SeatingGrid({ token, sessionId, allocation, halls, onEdited }){
+  const dayKeys = allocation ? Object.keys(allocation.days) : [];
+  const [day,setDay]=useState(null), [hallId,setHallId]=useState(null), [picked,setPicked]=useState(null), [hover,setHover]=useState(null);
+  const [pending,setPending]=useState(null), [status,setStatus]=useState('');
+  useEffect(()=>{ if (!dayKeys.includes(day)) setDay(dayKeys[0] || null); setPicked(null); setPending(null); }, [allocation]);
+  const rows = (allocation && day && allocation.days[day]) || [];
+  const hallIds = Array.from(new Set(rows.map(r=>r.hall_id)));
+  useEffect(()=>{ if (!hallIds.includes(hallId)) setHallId(hallIds[0] || null); }, [day, allocation]);
+  if (!allocation) return (<section><h3>5. Seating</h3><p>Allocate to see the seating.</p></section>);
+  const hallRows = rows.filter(r=>r.hall_id===hallId);
+  const { grid, width } = vizGrid(hallRows, (halls || []).find(h=>h.hall_id===hallId));
+  const slot = (allocation.manifest.schedule || {})[day] || {};
+
+  async function swap(a, b, force){
+    setStatus('saving…');
+    try {
+      const r = await client(token).post(`/api/sessions/${sessionId}/edits`, { version: allocation.version, day, ops: [{ op:'swap', a: seatRef(a), b: seatRef(b) }], force: !!force });
+      setPending(null); setPicked(null);
+      setStatus(`saved as version ${r.data.version}: ${r.data.diff.map(d=>`${d.register_number} → ${d.to ? `${d.to.hall_id} ${d.to.bench_number}/${d.to.seat}` : 'unseated'}`).join(', ')}${r.data.forced ? ' (forced)' : ''}`);
+      onEdited(r.data.version);
+    } catch(e){
+      const d = errorOf(e);
+      if (e.response && e.response.status === 409 && (d.newViolations || d.capacity)) setPending({ a, b, ...d });
+      setStatus(d.error);
+    }
+  }
+  function click(r){
+    if (!picked) return setPicked(r);
+    if (same(picked, r)) return setPicked(null);
+    if (!picked.register_number && !r.register_number) return setPicked(r);
+    swap(picked, r);
+  }
+  return (<section><h3>5. Seating <small>version {allocation.version}</small></h3>
+  <div className='row'>{dayKeys.map(k=><button key={k} className={k===day ? 'sel' : ''} onClick={()=>setDay(k)}>{k}</button>)}
+    <span>{[slot.date, slot.session, slot.start && `${slot.start}${slot.end ? `–${slot.end}` : ''}`].filter(Boolean).join(' · ')}</span></div>
+  <div className='row'>{hallIds.map(h=>{ const n = rows.filter(r=>r.hall_id===h && r.register_number).length; return <button key={h} className={h===hallId ? 'sel' : ''} onClick={()=>{ setHallId(h); setPicked(null); }}>{h} ({n})</button>; })}</div>
+  <div className='row'><small>{picked ? `selected ${picked.register_number || 'empty seat'} at bench ${picked.bench_number}/${picked.seat}: click another seat to swap, or it again to cancel` : 'click a seat to move or swap it'}</small></div>
+  {status && <div className='status'>{status}</div>}
+  {pending && <div className='panel warn'>{(pending.newViolations || []).map((v,i)=><div key={i}>new clash: {v.register_number} ({v.subject_code}) at {v.hall_id} bench {v.bench_number}/{v.seat}</div>)}
+    {(pending.capacity || []).map((c,i)=><div key={i}>{c.register_number} at {c.hall_id} bench {c.bench_number}/{c.seat}: {c.problem}</div>)}
+    <button onClick={()=>swap(pending.a, pending.b, true)}>Apply anyway</button> <button onClick={()=>{ setPending(null); setPicked(null); setStatus(''); }}>Cancel</button></div>}
+  <div className='front'>front</div>
+  <div className='grid seating' style={{ gridTemplateColumns: `repeat(${grid[0] ? grid[0].length : 0}, 96px)` }}>
+    {grid.flatMap((line, r)=>line.map((c, x)=>{
+      const key = `${r}:${x}`, gap = (x+1) % width === 0 && width > 1 ? ' bench-end' : '';
+      if (!c) return <div key={key} className={`cell gap${gap}`} />;
+      if (c.pillar) return <div key={key} className={`cell pillar${gap}`}>Pillar</div>;
+      if (!c.hall_id) return <div key={key} className={`cell seat empty blank${gap}`}>Empty</div>;
+      const cls = ['cell', 'seat', c.register_number ? '' : 'empty', same(c, picked) ? 'picked' : '', hover && c.subject_code && c.subject_code===hover ? 'match' : ''].join(' ') + gap;
+      return <div key={key} className={cls} style={c.register_number ? { background: subjectColour(c.subject_code) } : {}} onClick={()=>click(c)} onMouseEnter={()=>setHover(c.subject_code)} onMouseLeave={()=>setHover(null)}
+        title={`bench ${c.bench_number}, seat ${c.seat} (row ${c.row}, col ${c.col})${c.accommodations ? `\n${c.accommodations}` : ''}`}>
+        {c.register_number ? <><div className='name'>{c.student_name} ({c.register_number})</div><div>{c.subject_code}</div></> : 'Empty'}</div>;
+    }))}
+  </div>
+  </section>);
+}
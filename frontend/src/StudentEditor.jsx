@@ -0,0 +1,35 @@
+import React, { useState, useEffect } from 'react';
+import { client, errorOf, readUpload } from './api';
+
+const FIELDS = [['register_number','Register No'], ['student_name','Name'], ['subject_code','Subject'], ['accommodations','Accommodations'], ['dob','Date of birth']];
+const PAGE = 100;
+// accommodations come as a list, or as a comma-separated string from some uploads
+const tagList = v => (Array.isArray(v) ? v : String(v || '').split(',')).map(t=>String(t).trim()).filter(Boolean);
+
+// Inline editing of the parsed student list; saving posts it to /api/update-students as the session's new cohort
+export default function StudentEditor({ token, sessionId, onSession, file, onSaved }){
+  const [students,setStudents]=useState([]), [filter,setFilter]=useState(''), [page,setPage]=useState(0);
+  const [dirty,setDirty]=useState(false), [status,setStatus]=useState('');
+  useEffect(()=>{ if (!file) return; setStatus('loading…'); readUpload(token, file).then(s=>{ setStudents(s.map(x=>({ ...x, accommodations: tagList(x.accommodations).join(', ') }))); setDirty(false); setStatus(''); }).catch(e=>setStatus(errorOf(e).error)); }, [token, file]);
+  if (!file) return (<section><h3>2. Students</h3><p>Upload a student list first.</p></section>);
+  const q = filter.trim().toUpperCase();
+  const shown = students.map((s,i)=>({ s, i })).filter(({ s })=>!q || FIELDS.some(([f])=>String(s[f] || '').toUpperCase().includes(q)));
+  const pages = Math.max(1, Math.ceil(shown.length / PAGE));
+  function edit(i, field, value){ setStudents(students.map((s,k)=>k===i ? { ...s, [field]: value } : s)); setDirty(true); }
+  function remove(i){ setStudents(students.filter((_,k)=>k!==i)); setDirty(true); }
+  function add(){ setStudents([{ register_number:'', student_name:'', subject_code:'', accommodations:'' }, ...students]); setFilter(''); setPage(0); setDirty(true); }
+  async function save(){
+    const out = students.map(s=>{ const x = { ...s, subject_code: String(s.subject_code || '').trim().toUpperCase(), accommodations: tagList(s.accommodations) }; if (!x.dob) delete x.dob; return x; });
+    setStatus('saving…');
+    try { const r=await client(token).post('/api/update-students', { students: out, sessionId }); setDirty(false); setStatus(`saved ${r.data.count} students as ${r.data.file}`); onSession(r.data.sessionId); onSaved(r.data.file); }
+    catch(e){ setStatus(errorOf(e).error); }
+  }
+  return (<section><h3>2. Students <small>{file}</small></h3>
+  <div className='row'><input placeholder='filter' value={filter} onChange={e=>{ setFilter(e.target.value); setPage(0); }} /> <span>{shown.length} of {students.length}</span>
+    <button onClick={add}>Add student</button> <button disabled={!dirty} onClick={save}>Save changes</button></div>
+  {status && <div className='status'>{status}</div>}
+  <table className='report'><thead><tr>{FIELDS.map(([f,l])=><th key={f}>{l}</th>)}<th></th></tr></thead>
+    <tbody>{shown.slice(page*PAGE, (page+1)*PAGE).map(({ s, i })=>(<tr key={i}>{FIELDS.map(([f])=><td key={f}><input value={s[f] || ''} onChange={e=>edit(i, f, e.target.value)} /></td>)}<td><button onClick={()=>remove(i)}>✕</button></td></tr>))}</tbody></table>
+  {pages > 1 && <div className='row'><button disabled={page===0} onClick={()=>setPage(page-1)}>‹</button> page {page+1} / {pages} <button disabled={page>=pages-1} onClick={()=>setPage(page+1)}>›</button></div>}
+  </section>);
+}
@@ -0,0 +1,44 @@
+import React, { useState, useEffect } from 'react';
+import { client, errorOf } from './api';
+
+// Student lists (one or more sheets) and the invigilator roster, with the backend's validation report per file
+export default function Upload({ token, sessionId, onSession, onStudents, onRoster }){
+  const [files,setFiles]=useState([]), [rosterFile,setRosterFile]=useState(null);
+  const [opts,setOpts]=useState({ profile:'', strict:false, registerPattern:'' }), [profiles,setProfiles]=useState([]);
+  const [result,setResult]=useState(null), [roster,setRoster]=useState(null), [status,setStatus]=useState('');
+  useEffect(()=>{ client(token).get('/api/profiles').then(r=>setProfiles(r.data.profiles)).catch(()=>setProfiles([])); }, [token]);
+  function form(field, list){ const fd=new FormData(); list.forEach(f=>fd.append(field,f)); if (sessionId) fd.append('sessionId', sessionId); return fd; }
+  async function uploadStudents(){
+    if (!files.length) return setStatus('pick one or more student sheets');
+    const fd=form('students', files); if (opts.profile) fd.append('profile', opts.profile); if (opts.strict) fd.append('strict','true'); if (opts.registerPattern) fd.append('registerPattern', opts.registerPattern);
+    setStatus('uploading…');
+    try { const r=await client(token).post('/api/upload/students', fd); setResult(r.data); setStatus(`${r.data.count} students saved as ${r.data.file}`); onSession(r.data.sessionId); onStudents(r.data.file); }
+    catch(e){ const d=errorOf(e); setResult(d.report ? d : null); setStatus(d.error); }
+  }
+  async function uploadRoster(){
+    if (!rosterFile) return setStatus('pick the invigilator roster');
+    const fd=form('invigilators', [rosterFile]);
+    try { const r=await client(token).post('/api/upload/invigilators', fd); setRoster(r.data); setStatus(`${r.data.count} invigilators saved as ${r.data.file}`); onSession(r.data.sessionId); onRoster(r.data.file); }
+    catch(e){ setStatus(errorOf(e).error); }
+  }
+  return (<section><h3>1. Upload</h3>
+  <div className='row'><input type='file' multiple accept='.xlsx,.xls,.csv' onChange={e=>setFiles(Array.from(e.target.files))} />
+    <select value={opts.profile} onChange={e=>setOpts({...opts, profile:e.target.value})}><option value=''>detect column profile</option>{profiles.filter(p=>p.kind==='students').map(p=><option key={p.name}>{p.name}</option>)}</select>
+    <label><input type='checkbox' checked={opts.strict} onChange={e=>setOpts({...opts, strict:e.target.checked})} /> strict (reject on any issue)</label>
+    <input placeholder='register pattern (regex, optional)' value={opts.registerPattern} onChange={e=>setOpts({...opts, registerPattern:e.target.value})} />
+    <button onClick={uploadStudents}>Upload students</button></div>
+  <div className='row'><input type='file' accept='.xlsx,.xls,.csv' onChange={e=>setRosterFile(e.target.files[0])} /> <button onClick={uploadRoster}>Upload invigilator roster</button> <small>optional: duties are assigned with the allocation</small></div>
+  {status && <div className='status'>{status}</div>}
+  {result && <ValidationReport result={result} />}
+  {roster && roster.warnings.length > 0 && <table className='report'><thead><tr><th>Row</th><th>Staff ID</th><th>Warning</th></tr></thead><tbody>{roster.warnings.map((w,i)=><tr key={i}><td>{w.row}</td><td>{w.staff_id || ''}</td><td>{w.warning}</td></tr>)}</tbody></table>}
+  </section>);
+}
+
+function ValidationReport({ result }){
+  const summary = Object.entries(result.summary || {});
+  return (<div><div className='row'>{summary.length ? summary.map(([t,n])=><span key={t} className='chip warn'>{t}: {n}</span>) : <span className='chip ok'>no issues</span>}{result.strict && <span className='chip'>strict</span>}</div>
+  {result.report.map(f=>(<details key={f.file} open={f.issues.length > 0 && f.issues.length <= 50}><summary>{f.file}: {f.accepted} of {f.rows} rows accepted{f.profile && f.profile.name ? `, profile ${f.profile.name} (${f.profile.mode})` : ''}, {f.issues.length} issue(s)</summary>
+    {f.issues.length > 0 && <table className='report'><thead><tr><th>Row</th><th>Issue</th><th>Register</th><th>Details</th></tr></thead>
+      <tbody>{f.issues.map((i,k)=>{ const { row, type, register_number, ...rest } = i; return <tr key={k}><td>{row}</td><td>{type}</td><td>{register_number || ''}</td><td>{Object.entries(rest).map(([a,b])=>`${a}: ${b}`).join(', ')}</td></tr>; })}</tbody></table>}
+  </details>))}</div>);
+}
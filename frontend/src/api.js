@@ -0,0 +1,18 @@
+import axios from 'axios';
+export const API = import.meta.env.VITE_API_URL || 'http://localhost:4000';
+
+// axios bound to the admin token; every backend reply is { ok, ... }
+export function client(token){ return axios.create({ baseURL: API, headers: token ? { Authorization: `Bearer ${token}` } : {} }); }
+
+// the backend's error message (with its extra fields, e.g. a strict-mode report or an edit's diff) when it sent one
+export function errorOf(e){ const d = e.response && e.response.data; return d && d.error ? d : { error: e.message }; }
+
+// files in uploads/ are admin-only: downloads are fetched with the Authorization header and handed to the browser as
+// a blob, so the token never ends up in a URL
+export async function downloadUpload(token, name){
+  const r = await client(token).get(`/uploads/${encodeURIComponent(name)}`, { responseType: 'blob' });
+  const url = URL.createObjectURL(r.data), a = document.createElement('a');
+  a.href = url; a.download = name; document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(()=>URL.revokeObjectURL(url), 1000);
+}
+export async function readUpload(token, name){ return (await client(token).get(`/uploads/${encodeURIComponent(name)}`)).data; }
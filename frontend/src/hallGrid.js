@@ -0,0 +1,39 @@
+// Hall grids in the browser, following the backend's benchCells / buildVizAOA (server.js)
+
+// benches of a hall definition on its rows x cols grid: layout mask (B = bench, 1-9 = bench with that many
+// seats, P = pillar, . = gap) or benches filled row by row; hall files without rows/cols get 10 columns
+export function hallCells(h){
+  const perBench = parseInt(h.seats_per_bench, 10) || 1;
+  const layout = Array.isArray(h.layout) ? h.layout : h.layout ? String(h.layout).split(/[/\n]+/).map(r=>r.replace(/\s+/g,'').toUpperCase()).filter(Boolean) : null;
+  if (layout && layout.length){
+    const cols = Math.max(...layout.map(r=>r.length)), cells = [];
+    let bench = 0;
+    layout.forEach((line, r)=>{ for (let c=0;c<cols;c++){ const ch = line[c] || '.'; if (ch==='B' || /[1-9]/.test(ch)) cells.push({ row: r+1, col: c+1, bench: ++bench, seats: ch==='B' ? perBench : parseInt(ch,10) }); else if (ch==='P') cells.push({ row: r+1, col: c+1, pillar: true }); } });
+    return { rows: layout.length, cols, cells };
+  }
+  const benches = parseInt(h.benches, 10) || 30;
+  let rows = parseInt(h.rows, 10) || null, cols = parseInt(h.cols, 10) || null;
+  if (!rows && !cols){ cols = 10; rows = Math.ceil(benches / cols); }
+  else if (!cols) cols = Math.ceil(benches / rows);
+  else if (!rows) rows = Math.ceil(benches / cols);
+  const cells = [];
+  for (let b=1;b<=benches;b++) cells.push({ row: Math.ceil(b / cols), col: ((b-1) % cols) + 1, bench: b, seats: perBench });
+  return { rows, cols, cells };
+}
+
+// one day's rows for a hall as the _viz sheet lays them out: a column per seat of the hall's widest bench, pillars
+// and gaps from its layout, and blank {} cells (shown as Empty, not editable) where no row sits; without the hall
+// definition the grid is rebuilt from the rows
+export function vizGrid(rows, hall){
+  const h = hall || { benches: Math.max(1, ...rows.map(r=>r.bench_number || 0)), cols: Math.max(0, ...rows.map(r=>r.col || 0)) || 10, seats_per_bench: Math.max(1, ...rows.map(r=>r.seat || 1)) };
+  const { rows: R, cols, cells } = hallCells(h);
+  const width = Math.max(1, ...cells.map(c=>c.seats || 0));
+  const at = new Map(cells.map(c=>[`${c.row}:${c.col}`, c]));
+  const grid = Array.from({ length: R }, (_, r)=>Array.from({ length: cols*width }, (_, x)=>{
+    if (!h.layout) return {};
+    const c = at.get(`${r+1}:${Math.floor(x/width)+1}`);
+    return !c ? null : c.pillar ? { pillar: true } : {};
+  }));
+  for (const r of rows) if (r.row && r.col && grid[r.row-1]) grid[r.row-1][(r.col-1)*width + (r.seat || 1) - 1] = r;
+  return { grid, width };
+}
@@ -1,51 +1,173 @@
 #!/usr/bin/env python3
+"""CP-SAT seating solver used by `allocator: 'optimize'` in /api/allocate.
+
+The backend does all hall geometry and sends an abstract problem (JSON on stdin or a file path):
+  positions  [{hall, general, avoid}]  seats the allocator may use (hall is an index); general=false seats
+                                       (separate rooms) only take the special students allowed there; avoid lists
+                                       subjects of locked students next to the seat (optional)
+  edges      [[i, j], ...]             pairs of positions that are neighbours under the adjacency rule
+  subjects   [{code, count, separate}] general students per subject; separate=false never conflicts
+  special    [{subject, allowed}]      students with accommodations and the positions meeting their needs; one
+                                       left off those sits on a general seat of its subject instead
+  hint       {general: [[p, k]], special: [p|null]}   optional starting point (the greedy allocation)
+  deterministic_time, seed, weights {unseated, accommodation, conflict, balance}
+
+General students of one subject are interchangeable, so the model has one boolean per position x subject
+(not per student x bench) plus one per special student x allowed position. Objective, lexicographic by weight:
+seat everyone, then meet accommodations, then avoid same-subject neighbours, then keep every hall's fill close
+to the overall fill.
+
+The search is reproducible: one worker, the given seed and a deterministic-time budget (CP-SAT's own work
+measure, not the clock), so the same problem always gets the same answer and replay can rely on it.
+
+Prints {status, objective, wall_time, conflicts, general: [[p, k]], special: [p|null]}.
+Exit codes: 1 usage / bad input, 2 OR-Tools missing, 3 no solution within the time budget.
+"""
 import sys, json
+from collections import defaultdict
 try:
     from ortools.sat.python import cp_model
 except Exception as e:
     print('OR-Tools not installed. Install with: pip install ortools', file=sys.stderr)
     sys.exit(2)
 
-def load_json(p):
-    with open(p,'r') as f:
-        return json.load(f)
 
-def main():
-    if len(sys.argv) < 3:
-        print('Usage: optimize.py students.json halls.json', file=sys.stderr)
-        sys.exit(1)
-    students = load_json(sys.argv[1])
-    halls = load_json(sys.argv[2])
-    benches = []
-    for h in halls:
-        for b in range(1, h['benches']+1):
-            benches.append((h['hall_id'], b))
-    S = len(students)
-    B = len(benches)
+def load_problem(argv):
+    if len(argv) > 1:
+        with open(argv[1], 'r') as f:
+            return json.load(f)
+    return json.load(sys.stdin)
+
+
+def solve(problem):
+    positions = problem['positions']
+    subjects = problem['subjects']
+    special = problem.get('special', [])
+    weights = {'unseated': 1000, 'accommodation': 500, 'conflict': 100, 'balance': 1}
+    weights.update(problem.get('weights') or {})
+    P, K = len(positions), len(subjects)
+    special_of = defaultdict(list)
+    for s, sp in enumerate(special):
+        special_of[sp['subject']].append(s)
+
     model = cp_model.CpModel()
-    x = {}
-    for i in range(S):
-        for j in range(B):
-            x[(i,j)] = model.NewBoolVar(f"x_{i}_{j}")
-    for i in range(S):
-        model.Add(sum(x[(i,j)] for j in range(B)) <= 1)
-    for j in range(B):
-        model.Add(sum(x[(i,j)] for i in range(S)) <= 1)
-    model.Maximize(sum(x[(i,j)] for i in range(S) for j in range(B)))
+    y = {}
+    for p, pos in enumerate(positions):
+        if not pos.get('general', True):
+            continue
+        for k in range(K):
+            if subjects[k]['count'] + len(special_of[k]) > 0:
+                y[p, k] = model.NewBoolVar(f'y_{p}_{k}')
+    z = {}
+    for s, sp in enumerate(special):
+        for p in sp['allowed']:
+            z[s, p] = model.NewBoolVar(f'z_{s}_{p}')
+        if sp['allowed']:
+            model.AddAtMostOne(z[s, p] for p in sp['allowed'])
+
+    # one student per seat; occupancy of every subject at every seat
+    at = defaultdict(list)
+    occ = defaultdict(list)
+    for (p, k), v in y.items():
+        at[p].append(v)
+        occ[p, k].append(v)
+    for (s, p), v in z.items():
+        at[p].append(v)
+        occ[p, special[s]['subject']].append(v)
+    for vs in at.values():
+        if len(vs) > 1:
+            model.AddAtMostOne(vs)
+    # general seats of a subject: its general students plus its special students not placed on their own seats
+    placed = {s: sum(z[s, p] for p in sp['allowed']) for s, sp in enumerate(special)}
+    for k, sub in enumerate(subjects):
+        vs = [y[p, k] for p in range(P) if (p, k) in y]
+        if vs:
+            model.Add(sum(vs) <= sub['count'] + sum(1 - placed[s] for s in special_of[k]))
+
+    conflicts = []
+    for i, j in problem.get('edges', []):
+        ks = [k for k in range(K) if subjects[k].get('separate', True) and occ.get((i, k)) and occ.get((j, k))]
+        if not ks:
+            continue
+        c = model.NewBoolVar(f'c_{i}_{j}')
+        for k in ks:
+            model.Add(sum(occ[i, k]) + sum(occ[j, k]) <= 1 + c)
+        conflicts.append(c)
+    for p, pos in enumerate(positions):
+        for k in pos.get('avoid', []):
+            if occ.get((p, k)):
+                c = model.NewBoolVar(f'a_{p}_{k}')
+                model.Add(sum(occ[p, k]) <= c)
+                conflicts.append(c)
+
+    total = sum(sub['count'] for sub in subjects) + len(special)
+    seated = list(y.values()) + list(z.values())
+    if not seated:
+        return {'status': 'OPTIMAL', 'objective': weights['unseated'] * total, 'wall_time': 0, 'conflicts': 0,
+                'general': [], 'special': [None] * len(special)}
+
+    # hall balance over the halls general students can use: |load - share of total by capacity|
+    by_hall = defaultdict(list)
+    for p, pos in enumerate(positions):
+        if pos.get('general', True):
+            by_hall[pos['hall']].append(p)
+    cap_total = sum(len(ps) for ps in by_hall.values())
+    deviations = []
+    for h, ps in sorted(by_hall.items()):
+        c = len(ps)
+        load = sum(v for p in ps for v in at.get(p, []))
+        target = round(min(total, cap_total) * c / cap_total)
+        d = model.NewIntVar(0, c, f'dev_{h}')
+        model.Add(d >= load - target)
+        model.Add(d >= target - load)
+        deviations.append(d)
+
+    model.Minimize(weights['unseated'] * (total - sum(seated))
+                   + weights['accommodation'] * (len(special) - sum(placed.values()))
+                   + weights['conflict'] * sum(conflicts)
+                   + weights['balance'] * sum(deviations))
+
+    hint = problem.get('hint')
+    if hint:
+        hinted = set((p, k) for p, k in hint.get('general', []))
+        for key, v in y.items():
+            model.AddHint(v, 1 if key in hinted else 0)
+        chosen = hint.get('special', [])
+        for (s, p), v in z.items():
+            model.AddHint(v, 1 if s < len(chosen) and chosen[s] == p else 0)
+
     solver = cp_model.CpSolver()
-    solver.parameters.max_time_in_seconds = 10
-    solver.parameters.num_search_workers = 8
-    res = solver.Solve(model)
-    if res == cp_model.OPTIMAL or res == cp_model.FEASIBLE:
-        out = []
-        for j in range(B):
-            for i in range(S):
-                if solver.Value(x[(i,j)]) == 1:
-                    out.append({'bench': j+1, 'student': students[i]})
-        print(json.dumps(out))
-    else:
-        print('No solution', file=sys.stderr)
+    solver.parameters.max_deterministic_time = float(problem.get('deterministic_time', 30))
+    solver.parameters.num_workers = 1
+    solver.parameters.random_seed = int(problem.get('seed', 0)) % 2147483647
+    status = solver.Solve(model)
+    if status not in (cp_model.OPTIMAL, cp_model.FEASIBLE):
+        print(f'No solution ({solver.StatusName(status)})', file=sys.stderr)
         sys.exit(3)
 
+    general = [[p, k] for (p, k), v in sorted(y.items()) if solver.Value(v)]
+    chosen = []
+    for s, sp in enumerate(special):
+        at_seat = [p for p in sp['allowed'] if solver.Value(z[s, p])]
+        chosen.append(at_seat[0] if at_seat else None)
+    return {
+        'status': solver.StatusName(status),
+        'objective': solver.ObjectiveValue(),
+        'wall_time': solver.WallTime(),
+        'conflicts': sum(solver.Value(c) for c in conflicts),
+        'general': general,
+        'special': chosen,
+    }
+
+
+def main():
+    try:
+        problem = load_problem(sys.argv)
+    except Exception as e:
+        print('Usage: optimize.py [problem.json]  (or the problem JSON on stdin): ' + str(e), file=sys.stderr)
+        sys.exit(1)
+    print(json.dumps(solve(problem)))
+
+
 if __name__ == '__main__':
     main()